@@ -17,6 +17,10 @@ module.exports = {
     // 'plugin:prettier/recommended'
   ],
   parser: 'babel-eslint',
+  settings: {
+    // Resolved by node, not on disk
+    'import/core-modules': ['node:test'],
+  },
   // plugins: ['prettier'],
   rules: getRules(),
 };
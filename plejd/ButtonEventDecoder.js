@@ -0,0 +1,140 @@
+const { EventEmitter } = require('events');
+
+const { BUTTON_EVENTS } = require('./constants');
+const Logger = require('./Logger');
+
+const logger = Logger.getLogger('button-events');
+
+/**
+ * Turns raw press/release reports from WPH-01/WRT-01 buttons into short press, double press,
+ * long press and long press release events based on timing.
+ *
+ * Not all devices report releases. Until a release has been seen from a button, every press
+ * is handled as a click, meaning long presses can only be detected for buttons reporting releases.
+ */
+class ButtonEventDecoder extends EventEmitter {
+  // eslint-disable-next-line max-len
+  /** @private @type {Object.<string, {pressed: boolean, holding: boolean, reportsRelease: boolean, clickTimer: NodeJS.Timeout, longPressTimer: NodeJS.Timeout}>} */
+  buttons = {};
+  /** Max ms between two clicks to count as a double press. 0 disables double press */
+  doublePressTime;
+  /** Ms a button must be held to count as a long press */
+  longPressTime;
+
+  static EVENTS = {
+    buttonEvent: 'buttonEvent',
+  };
+
+  /**
+   * @param {{doublePressTime: number, longPressTime: number}} options
+   */
+  constructor({ doublePressTime, longPressTime }) {
+    super();
+    this.doublePressTime = doublePressTime;
+    this.longPressTime = longPressTime;
+  }
+
+  cleanup() {
+    Object.values(this.buttons).forEach((button) => {
+      clearTimeout(button.clickTimer);
+      clearTimeout(button.longPressTimer);
+    });
+    this.buttons = {};
+  }
+
+  /**
+   * @param {string} deviceId
+   * @param {number} deviceInput
+   */
+  press(deviceId, deviceInput) {
+    const button = this._getButton(deviceId, deviceInput);
+    button.pressed = true;
+
+    if (!button.reportsRelease) {
+      this._onClick(button, deviceId, deviceInput);
+      return;
+    }
+
+    clearTimeout(button.longPressTimer);
+    button.longPressTimer = setTimeout(() => {
+      button.longPressTimer = null;
+      button.holding = true;
+      // A long press cancels any pending click
+      clearTimeout(button.clickTimer);
+      button.clickTimer = null;
+      this._emit(deviceId, deviceInput, BUTTON_EVENTS.LONG_PRESS);
+    }, this.longPressTime);
+  }
+
+  /**
+   * @param {string} deviceId
+   * @param {number} deviceInput
+   */
+  release(deviceId, deviceInput) {
+    const button = this._getButton(deviceId, deviceInput);
+    clearTimeout(button.longPressTimer);
+    button.longPressTimer = null;
+
+    if (!button.pressed) {
+      // Device only reports releases
+      this._onClick(button, deviceId, deviceInput);
+      return;
+    }
+    button.pressed = false;
+
+    if (!button.reportsRelease) {
+      logger.debug(`Button ${deviceInput} of ${deviceId} reports releases, long press enabled`);
+      button.reportsRelease = true;
+      // The press was already handled as a click
+      return;
+    }
+
+    if (button.holding) {
+      button.holding = false;
+      this._emit(deviceId, deviceInput, BUTTON_EVENTS.LONG_RELEASE);
+      return;
+    }
+
+    this._onClick(button, deviceId, deviceInput);
+  }
+
+  _getButton(deviceId, deviceInput) {
+    const key = `${deviceId}_${deviceInput}`;
+    if (!this.buttons[key]) {
+      this.buttons[key] = {
+        pressed: false,
+        holding: false,
+        reportsRelease: false,
+        clickTimer: null,
+        longPressTimer: null,
+      };
+    }
+    return this.buttons[key];
+  }
+
+  _onClick(button, deviceId, deviceInput) {
+    if (!this.doublePressTime) {
+      this._emit(deviceId, deviceInput, BUTTON_EVENTS.SHORT_PRESS);
+      return;
+    }
+
+    if (button.clickTimer) {
+      clearTimeout(button.clickTimer);
+      button.clickTimer = null;
+      this._emit(deviceId, deviceInput, BUTTON_EVENTS.DOUBLE_PRESS);
+      return;
+    }
+
+    button.clickTimer = setTimeout(() => {
+      button.clickTimer = null;
+      this._emit(deviceId, deviceInput, BUTTON_EVENTS.SHORT_PRESS);
+    }, this.doublePressTime);
+  }
+
+  _emit(deviceId, deviceInput, buttonEvent) {
+    logger.verbose(`Button ${deviceInput} of ${deviceId}: ${buttonEvent}`);
+    this.emit(ButtonEventDecoder.EVENTS.buttonEvent, deviceId, deviceInput, buttonEvent);
+  }
+}
+
+module.exports = ButtonEventDecoder;
@@ -1,6 +1,15 @@
 const Logger = require('./Logger');
 
 const logger = Logger.getLogger('device-registry');
+
+// Properties tracked at runtime, kept when a device is updated from a refreshed site
+const RUNTIME_PROPERTIES = ['state', 'dim', 'stateAssumed'];
+const DEVICE_MAPS = {
+  output: 'outputDevices',
+  input: 'inputDevices',
+  scene: 'sceneDevices',
+};
+
 class DeviceRegistry {
   /** @type {string} */
   cryptoKey = null;
@@ -9,6 +18,8 @@ class DeviceRegistry {
   devices = {};
   /** @private @type {Object.<string, string[]>} */
   outputDeviceUniqueIdsByRoomId = {};
+  /** @private @type {Object.<string, string>} Unique input id by BLE address and input index */
+  inputUniqueIdByBleInputAddress = {};
   /** @private @type {Object.<number, string>} */
   outputUniqueIdByBleOutputAddress = {};
   /** @private @type {Object.<number, string>} */
@@ -40,9 +51,9 @@ class DeviceRegistry {
     logger.verbose(
       `Added/updated input device: ${JSON.stringify(inputDevice)}. ${
         Object.keys(this.inputDevices).length
-      } output devices in total.`,
+      } input devices in total.`,
     );
-    this.outputUniqueIdByBleOutputAddress[
+    this.inputUniqueIdByBleInputAddress[
       this.getUniqueBLEId(inputDevice.bleInputAddress, inputDevice.input)
     ] = inputDevice.uniqueId;
   }
@@ -104,6 +115,7 @@ class DeviceRegistry {
     this.devices = {};
     this.outputDevices = {};
     this.inputDevices = {};
+    this.inputUniqueIdByBleInputAddress = {};
     this.outputDeviceUniqueIdsByRoomId = {};
     this.outputUniqueIdByBleOutputAddress = {};
   }
@@ -113,6 +125,65 @@ class DeviceRegistry {
     this.sceneUniqueIdByBleOutputAddress = {};
   }
 
+  /**
+   * Devices currently in the registry, to compare with after reloading the site
+   * @returns {Object.<string, Object.<string, any>>} Devices by unique id, by kind
+   */
+  getSnapshot() {
+    return Object.fromEntries(
+      Object.entries(DEVICE_MAPS).map(([kind, map]) => [kind, { ...this[map] }]),
+    );
+  }
+
+  /**
+   * Compare the devices added from a reloaded site with a snapshot taken before reloading.
+   * Devices that still exist keep their object and runtime state, with their settings
+   * updated in place.
+   * @param {Object.<string, Object.<string, any>>} snapshot From getSnapshot
+   * @returns {import('./types/DeviceRegistry').SiteChanges}
+   */
+  mergeSnapshot(snapshot) {
+    /** @type {import('./types/DeviceRegistry').SiteChanges} */
+    const changes = { added: [], removed: [], changed: [] };
+    Object.entries(DEVICE_MAPS).forEach(([kind, map]) => {
+      const devices = this[map];
+      const previousDevices = snapshot[kind];
+
+      Object.values(devices).forEach((device) => {
+        const existing = previousDevices[device.uniqueId];
+        if (!existing) {
+          changes.added.push({ kind, device });
+          return;
+        }
+
+        const fields = Object.keys({ ...existing, ...device }).filter(
+          (key) => !RUNTIME_PROPERTIES.includes(key)
+            && JSON.stringify(existing[key]) !== JSON.stringify(device[key]),
+        );
+        const previous = { ...existing };
+        const runtimeKeys = RUNTIME_PROPERTIES.filter((key) => existing[key] !== undefined);
+        const runtimeState = Object.fromEntries(runtimeKeys.map((key) => [key, existing[key]]));
+        Object.keys(existing).forEach((key) => delete existing[key]);
+        Object.assign(existing, device, runtimeState);
+        devices[device.uniqueId] = existing;
+
+        if (fields.length) {
+          changes.changed.push({
+            kind,
+            device: existing,
+            previous,
+            fields,
+          });
+        }
+      });
+
+      Object.values(previousDevices)
+        .filter((device) => !devices[device.uniqueId])
+        .forEach((device) => changes.removed.push({ kind, device }));
+    });
+    return changes;
+  }
+
   /**
    * @returns {import('./types/DeviceRegistry').OutputDevice[]}
    */
@@ -161,7 +232,7 @@ class DeviceRegistry {
   /** @returns {import('./types/DeviceRegistry').InputDevice} */
   getInputDeviceByBleInputAddress(bleInputAddress, inputButton) {
     return this.inputDevices[
-      this.outputUniqueIdByBleOutputAddress[this.getUniqueBLEId(bleInputAddress, inputButton)]
+      this.inputUniqueIdByBleInputAddress[this.getUniqueBLEId(bleInputAddress, inputButton)]
     ];
   }
 
@@ -254,6 +325,18 @@ class DeviceRegistry {
       logger.silly(`Updated state: ${JSON.stringify(device)}`);
     }
   }
+
+  /**
+   * The mesh has reported the state of the output, so it is no longer assumed
+   * @param {string} uniqueOutputId
+   */
+  setOutputStateReported(uniqueOutputId) {
+    const device = this.getOutputDevice(uniqueOutputId);
+    if (device && device.stateAssumed) {
+      logger.verbose(`State of ${device.name} reported by mesh, no longer assumed`);
+      device.stateAssumed = false;
+    }
+  }
 }
 
 module.exports = DeviceRegistry;
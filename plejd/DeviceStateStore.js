@@ -0,0 +1,99 @@
+const fs = require('fs');
+
+const Logger = require('./Logger');
+
+const logger = Logger.getLogger('device-state-store');
+
+const DEVICE_STATES_PATH = '/data/deviceStates.json';
+// Changes are saved at most this often, states often change in bursts during transitions
+const SAVE_DELAY_MS = 5000;
+
+/**
+ * Saves the last known state of all outputs to disk, so that states are known right after a
+ * restart. Restored states are marked as assumed until the mesh reports the output.
+ */
+class DeviceStateStore {
+  /** @private @type {import('./DeviceRegistry')} */
+  deviceRegistry;
+  /** @private */
+  path;
+  /** @private @type {NodeJS.Timeout} */
+  saveTimer = null;
+
+  /**
+   * @param {import('./DeviceRegistry')} deviceRegistry
+   * @param {string} [path]
+   */
+  constructor(deviceRegistry, path) {
+    this.deviceRegistry = deviceRegistry;
+    this.path = path || DEVICE_STATES_PATH;
+  }
+
+  /** Set states of outputs in the registry from the saved states */
+  async restore() {
+    try {
+      const rawData = await fs.promises.readFile(this.path);
+      /** @type {Object.<string, {state: boolean, dim?: number}>} */
+      const states = JSON.parse(rawData.toString());
+      let restored = 0;
+      Object.entries(states).forEach(([uniqueOutputId, { state, dim }]) => {
+        const device = this.deviceRegistry.getOutputDevice(uniqueOutputId);
+        if (device && device.state === undefined) {
+          this.deviceRegistry.setOutputState(uniqueOutputId, state, dim);
+          device.stateAssumed = true;
+          restored++;
+        }
+      });
+      logger.info(`Restored last known state of ${restored} outputs from ${this.path}`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.warn(`Failed to restore saved device states from ${this.path}`, err);
+      }
+    }
+  }
+
+  /** Save states after a short delay, collecting changes made meanwhile */
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this._save();
+    }, SAVE_DELAY_MS);
+  }
+
+  /** Save pending changes right away, e.g. before exiting */
+  flush() {
+    if (!this.saveTimer) {
+      return;
+    }
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    try {
+      fs.writeFileSync(this.path, JSON.stringify(this._getStates()));
+    } catch (err) {
+      logger.warn(`Failed to save device states to ${this.path}`, err);
+    }
+  }
+
+  _getStates() {
+    return Object.fromEntries(
+      this.deviceRegistry
+        .getAllOutputDevices()
+        .filter((device) => device.state !== undefined)
+        .map((device) => [device.uniqueId, { state: !!device.state, dim: device.dim }]),
+    );
+  }
+
+  async _save() {
+    try {
+      await fs.promises.writeFile(this.path, JSON.stringify(this._getStates()));
+      logger.verbose(`Saved device states to ${this.path}`);
+    } catch (err) {
+      logger.warn(`Failed to save device states to ${this.path}`, err);
+    }
+  }
+}
+
+module.exports = DeviceStateStore;
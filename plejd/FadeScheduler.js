@@ -0,0 +1,273 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+
+const { MAX_BRIGHTNESS } = require('./constants');
+const Logger = require('./Logger');
+const TransitionEasing = require('./TransitionEasing');
+
+const logger = Logger.getLogger('fade-scheduler');
+
+// Smallest brightness change worth writing, one step in Home Assistant's default 0-255 scale
+const MIN_STEP = Math.round(MAX_BRIGHTNESS / 255);
+const MIN_STEP_INTERVAL_MS = 500;
+const MAX_STEP_INTERVAL_MS = 60000;
+// Reported brightness further than this from what we wrote means someone else changed the light
+const MANUAL_CHANGE_TOLERANCE = 2 * MIN_STEP;
+
+/**
+ * @typedef {{
+ *  uniqueOutputId: string;
+ *  from: number;
+ *  to: number;
+ *  easing: string;
+ *  startTime: number;
+ *  endTime: number;
+ *  written: number[];
+ *  timer?: NodeJS.Timeout;
+ * }} Fade
+ */
+
+/**
+ * Runs long brightness fades (sunrise/sunset style, minutes to hours).
+ *
+ * Brightness is calculated from wall clock time, and steps are only emitted when the brightness
+ * has changed by a visible amount, so the step rate follows the change per minute of the fade.
+ * Fades are paused while the mesh is disconnected and continue from the current point in time
+ * when resumed. Active fades are saved to disk and resumed after a restart.
+ */
+class FadeScheduler extends EventEmitter {
+  /** @private @type {Object.<string, Fade>} */
+  fades = {};
+  /** @private @type {Object.<string, number[]>} Last steps written by ended fades */
+  recentlyWritten = {};
+  paused = true;
+  /** File active fades are saved to, or null to not save them */
+  persistPath;
+
+  static EVENTS = {
+    step: 'step',
+    progress: 'progress',
+  };
+
+  /** @param {string} [persistPath] */
+  constructor(persistPath) {
+    super();
+    this.persistPath = persistPath || null;
+  }
+
+  cleanup() {
+    Object.values(this.fades).forEach((fade) => clearTimeout(fade.timer));
+    this.paused = true;
+  }
+
+  /**
+   * @param {string} uniqueOutputId
+   * @param {number} from Brightness at start
+   * @param {number} to Target brightness, 0 to turn off at the end
+   * @param {number} duration Seconds
+   * @param {string} easing One of TransitionEasing.EASINGS
+   */
+  start(uniqueOutputId, from, to, duration, easing) {
+    this.cancel(uniqueOutputId, 'New fade started');
+    // Steps of a replaced fade may still be reported back by the mesh
+    const previouslyWritten = this.recentlyWritten[uniqueOutputId] || [];
+    const startTime = Date.now();
+    /** @type {Fade} */
+    const fade = {
+      uniqueOutputId,
+      from,
+      to,
+      easing,
+      startTime,
+      endTime: startTime + duration * 1000,
+      written: [...previouslyWritten, from],
+    };
+    logger.info(`Fading ${uniqueOutputId} from ${from} to ${to} in ${duration} seconds`);
+    this._add(fade);
+    this._persist();
+  }
+
+  /**
+   * @param {string} uniqueOutputId
+   * @param {string} reason
+   */
+  cancel(uniqueOutputId, reason) {
+    const fade = this.fades[uniqueOutputId];
+    if (!fade) {
+      return;
+    }
+    logger.info(`Fade of ${uniqueOutputId} cancelled. ${reason}`);
+    this._remove(fade);
+  }
+
+  /** @param {string} uniqueOutputId */
+  isFading(uniqueOutputId) {
+    return !!this.fades[uniqueOutputId];
+  }
+
+  /** Stop emitting steps, e.g. while the mesh is disconnected */
+  pause() {
+    this.paused = true;
+    Object.values(this.fades).forEach((fade) => clearTimeout(fade.timer));
+  }
+
+  /** Continue all fades from the current point in time */
+  resume() {
+    this.paused = false;
+    Object.values(this.fades).forEach((fade) => this._tick(fade));
+  }
+
+  /**
+   * Cancel the fade if the reported state is not something we wrote, i.e. the light was
+   * changed from a wall switch, the Plejd app or a scene
+   * @param {string} uniqueOutputId
+   * @param {boolean} state
+   * @param {number} [brightness]
+   */
+  onStateReported(uniqueOutputId, state, brightness) {
+    const fade = this.fades[uniqueOutputId];
+    if (!fade) {
+      return;
+    }
+
+    if (!fade.written.length) {
+      // Resumed after restart, nothing written yet to compare with
+      return;
+    }
+    const reportedBrightness = state ? brightness : 0;
+    if (reportedBrightness === undefined || reportedBrightness === null) {
+      return;
+    }
+    const isOwnWrite = fade.written.some(
+      (written) => Math.abs(written - reportedBrightness) <= MANUAL_CHANGE_TOLERANCE,
+    );
+    if (!isOwnWrite) {
+      this.cancel(uniqueOutputId, `Brightness changed to ${reportedBrightness} outside the fade`);
+    }
+  }
+
+  /** Resume fades saved before a restart. Fades that ended meanwhile jump to their target */
+  async restore() {
+    if (!this.persistPath) {
+      return;
+    }
+    try {
+      const rawData = await fs.promises.readFile(this.persistPath);
+      /** @type {Fade[]} */
+      const fades = JSON.parse(rawData.toString());
+      fades.forEach((fade) => {
+        logger.info(`Resuming fade of ${fade.uniqueOutputId} saved before restart`);
+        this._add({ ...fade, written: [] });
+      });
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.warn(`Failed to restore saved fades from ${this.persistPath}`, err);
+      }
+    }
+  }
+
+  /**
+   * @param {string} uniqueOutputId
+   * @returns {{progress: number, target: number, endTime: number}} Progress (0-1), or null
+   */
+  getProgress(uniqueOutputId) {
+    const fade = this.fades[uniqueOutputId];
+    if (!fade) {
+      return null;
+    }
+    return {
+      progress: this._getProgress(fade, Date.now()),
+      target: fade.to,
+      endTime: fade.endTime,
+    };
+  }
+
+  /** @param {Fade} fade */
+  _add(fade) {
+    this.fades[fade.uniqueOutputId] = fade;
+    if (!this.paused) {
+      this._tick(fade);
+    }
+  }
+
+  /** @param {Fade} fade */
+  _remove(fade) {
+    clearTimeout(fade.timer);
+    delete this.fades[fade.uniqueOutputId];
+    this.recentlyWritten[fade.uniqueOutputId] = fade.written;
+    this.emit(FadeScheduler.EVENTS.progress, fade.uniqueOutputId, null);
+    this._persist();
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  _getProgress(fade, now) {
+    const duration = fade.endTime - fade.startTime;
+    return duration > 0 ? Math.min(1, Math.max(0, (now - fade.startTime) / duration)) : 1;
+  }
+
+  _getBrightness(fade, now) {
+    const progress = this._getProgress(fade, now);
+    return TransitionEasing.interpolate(fade.easing, fade.from, fade.to, progress);
+  }
+
+  /** @param {Fade} fade */
+  _tick(fade) {
+    clearTimeout(fade.timer);
+    const now = Date.now();
+    const progress = this._getProgress(fade, now);
+    const brightness = this._getBrightness(fade, now);
+    const lastWritten = fade.written.length ? fade.written[fade.written.length - 1] : -Infinity;
+
+    if (progress >= 1) {
+      logger.info(`Fade of ${fade.uniqueOutputId} done`);
+      this._writeStep(fade, fade.to, true);
+      this._remove(fade);
+      return;
+    }
+
+    if (Math.abs(brightness - lastWritten) >= MIN_STEP) {
+      this._writeStep(fade, brightness, false);
+      const { uniqueOutputId } = fade;
+      this.emit(FadeScheduler.EVENTS.progress, uniqueOutputId, this.getProgress(uniqueOutputId));
+    }
+
+    fade.timer = setTimeout(() => this._tick(fade), this._getStepInterval(fade, now));
+  }
+
+  /**
+   * Time until the brightness has changed by MIN_STEP, based on the current rate of change
+   * @param {Fade} fade
+   * @param {number} now
+   */
+  _getStepInterval(fade, now) {
+    const lookAheadMs = Math.min(MAX_STEP_INTERVAL_MS, fade.endTime - now);
+    const change = Math.abs(
+      this._getBrightness(fade, now + lookAheadMs) - this._getBrightness(fade, now),
+    );
+    const interval = change > 0 ? (lookAheadMs * MIN_STEP) / change : MAX_STEP_INTERVAL_MS;
+    return Math.max(
+      MIN_STEP_INTERVAL_MS,
+      Math.min(MAX_STEP_INTERVAL_MS, interval, fade.endTime - now),
+    );
+  }
+
+  _writeStep(fade, brightness, isFinal) {
+    // Keep the latest written values to recognize the mesh reporting them back
+    fade.written = [...fade.written.slice(-2), brightness];
+    this.emit(FadeScheduler.EVENTS.step, fade.uniqueOutputId, brightness, isFinal);
+  }
+
+  async _persist() {
+    if (!this.persistPath) {
+      return;
+    }
+    const fades = Object.values(this.fades).map(({ timer, written, ...fade }) => fade);
+    try {
+      await fs.promises.writeFile(this.persistPath, JSON.stringify(fades));
+    } catch (err) {
+      logger.warn(`Failed to save active fades to ${this.persistPath}`, err);
+    }
+  }
+}
+
+module.exports = FadeScheduler;
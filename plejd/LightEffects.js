@@ -0,0 +1,98 @@
+const { MAX_BRIGHTNESS } = require('./constants');
+
+/**
+ * Short light effects, run as a sequence of brightness steps through the write queue.
+ * The light is returned to its previous state when the effect is done.
+ */
+const EFFECTS = {
+  BLINK: 'blink',
+  PULSE: 'pulse',
+  IDENTIFY: 'identify',
+};
+
+// Same as the Home Assistant defaults for flash_time_short and flash_time_long, seconds
+const FLASH_TIMES = {
+  short: 2,
+  long: 10,
+};
+
+const BLINK_COUNT = 3;
+// Upper bound for blink_<n>, which comes straight from the MQTT command
+const MAX_BLINK_COUNT = 30;
+const BLINK_PERIOD_MS = 1000;
+// Identify blinks fast for long enough to walk around and find the fixture
+const IDENTIFY_COUNT = 30;
+const IDENTIFY_PERIOD_MS = 600;
+const PULSE_COUNT = 2;
+const PULSE_STEPS = 4;
+const PULSE_STEP_MS = 500;
+const PULSE_MIN_BRIGHTNESS = Math.round(MAX_BRIGHTNESS * 0.1);
+
+/**
+ * @typedef {{brightness: number, duration: number}} EffectStep
+ * Brightness to set (0 turns off) and ms until the next step
+ */
+
+/** @returns {EffectStep[]} */
+const getBlinkSteps = (count, periodMs) => {
+  const onStep = { brightness: MAX_BRIGHTNESS, duration: periodMs / 2 };
+  const offStep = { brightness: 0, duration: periodMs / 2 };
+  return Array.from({ length: count }).flatMap(() => [{ ...onStep }, { ...offStep }]);
+};
+
+/** @returns {EffectStep[]} */
+const getPulseSteps = () => {
+  const down = Array.from({ length: PULSE_STEPS }).map((_, i) => ({
+    brightness: Math.round(
+      MAX_BRIGHTNESS - ((MAX_BRIGHTNESS - PULSE_MIN_BRIGHTNESS) * (i + 1)) / PULSE_STEPS,
+    ),
+    duration: PULSE_STEP_MS,
+  }));
+  const up = [...down]
+    .reverse()
+    .slice(1)
+    .concat({ brightness: MAX_BRIGHTNESS, duration: PULSE_STEP_MS });
+  return Array.from({ length: PULSE_COUNT }).flatMap(() => [...down, ...up]);
+};
+
+/**
+ * Steps for an effect from the effect list. `blink_<n>` blinks n times, at most MAX_BLINK_COUNT.
+ * @param {string} effect
+ * @param {boolean} dimmable Non dimmable outputs blink instead of pulsing
+ * @returns {EffectStep[]} Steps, or null if the effect is unknown
+ */
+const getEffectSteps = (effect, dimmable) => {
+  const blinkMatch = /^blink_(\d+)$/.exec(effect || '');
+  if (blinkMatch) {
+    const count = Math.min(Math.max(1, parseInt(blinkMatch[1], 10)), MAX_BLINK_COUNT);
+    return getBlinkSteps(count, BLINK_PERIOD_MS);
+  }
+  switch (effect) {
+    case EFFECTS.BLINK:
+      return getBlinkSteps(BLINK_COUNT, BLINK_PERIOD_MS);
+    case EFFECTS.PULSE:
+      return dimmable ? getPulseSteps() : getBlinkSteps(BLINK_COUNT, BLINK_PERIOD_MS);
+    case EFFECTS.IDENTIFY:
+      return getBlinkSteps(IDENTIFY_COUNT, IDENTIFY_PERIOD_MS);
+    default:
+      return null;
+  }
+};
+
+/**
+ * Steps for a Home Assistant flash command, blinking once per second for the flash time
+ * @param {string} flash 'short' or 'long'
+ * @returns {EffectStep[]}
+ */
+const getFlashSteps = (flash) => {
+  const count = FLASH_TIMES[flash] || FLASH_TIMES.short;
+  return getBlinkSteps(count, BLINK_PERIOD_MS);
+};
+
+module.exports = {
+  EFFECTS,
+  FLASH_TIMES,
+  MAX_BLINK_COUNT,
+  getEffectSteps,
+  getFlashSteps,
+};
@@ -0,0 +1,55 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Base class for everything that can carry commands to and from the Plejd mesh.
+ *
+ * A transport owns the connection to the mesh. It must
+ * - emit `connected` once commands can be sent
+ * - emit `reconnecting` when the connection is lost and commands should be held back
+ * - emit `commandReceived` (uniqueOutputId, command, data) for state reported by the mesh
+ * and may
+ * - emit `stateChanged` (state, previousState, reason) to expose connection progress
+ *
+ * PlejdDeviceCommunication only talks to the mesh through this interface, meaning
+ * the BlueZ implementation can be replaced without touching anything above it.
+ */
+class MeshTransport extends EventEmitter {
+  static EVENTS = {
+    connected: 'connected',
+    reconnecting: 'reconnecting',
+    commandReceived: 'commandReceived',
+    stateChanged: 'stateChanged',
+  };
+
+  /** Connect to the mesh. Resolves when connection setup has been started. */
+  // eslint-disable-next-line class-methods-use-this
+  async init() {
+    throw new Error('init() not implemented by mesh transport');
+  }
+
+  /**
+   * Send a command to the mesh. Rejects if the command could not be written.
+   * @param {string} command One of constants.COMMANDS
+   * @param {number} bleOutputAddress
+   * @param {any} data
+   */
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  async sendCommand(command, bleOutputAddress, data) {
+    throw new Error('sendCommand() not implemented by mesh transport');
+  }
+
+  /**
+   * Called when init() fails. Should keep trying until a connection is established.
+   * @param {string} [reason]
+   */
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  async startReconnectPeriodicallyLoop(reason) {
+    throw new Error('startReconnectPeriodicallyLoop() not implemented by mesh transport');
+  }
+
+  /** Stop timers and remove internal listeners. Listeners added by users are left untouched. */
+  // eslint-disable-next-line class-methods-use-this
+  cleanup() {}
+}
+
+module.exports = MeshTransport;
@@ -1,7 +1,10 @@
 const EventEmitter = require('events');
+const fs = require('fs');
 const mqtt = require('mqtt');
 
 const Configuration = require('./Configuration');
+const { BUTTON_EVENTS, BUTTON_TYPES, MAX_BRIGHTNESS } = require('./constants');
+const { EFFECTS, FLASH_TIMES } = require('./LightEffects');
 const Logger = require('./Logger');
 
 const startTopics = ['hass/status', 'homeassistant/status'];
@@ -17,6 +20,7 @@ const MQTT_TYPES = {
   SCENE: 'scene',
   SWITCH: 'switch',
   DEVICE_AUTOMATION: 'device_automation',
+  SENSOR: 'sensor',
 };
 
 /** @type {import('./types/Mqtt').TOPIC_TYPES} */
@@ -25,6 +29,7 @@ const TOPIC_TYPES = {
   STATE: 'state',
   AVAILABILITY: 'availability',
   COMMAND: 'set',
+  ATTRIBUTES: 'attributes',
 };
 
 const getBaseTopic = (/** @type { string } */ uniqueId, /** @type { string } */ mqttDeviceType) => `${discoveryPrefix}/${mqttDeviceType}/${nodeId}/${uniqueId}`;
@@ -36,6 +41,8 @@ const getTopicName = (
 ) => `${getBaseTopic(uniqueId, mqttDeviceType)}/${topicType}`;
 
 const getButtonEventTopic = (/** @type {string} */ deviceId) => `${getTopicName(deviceId, MQTT_TYPES.DEVICE_AUTOMATION, TOPIC_TYPES.STATE)}`;
+// Rotations are published as JSON on a topic of their own, to be able to include the step count
+const getButtonRotationTopic = (/** @type {string} */ deviceId) => `${getTopicName(`${deviceId}_rotation`, MQTT_TYPES.DEVICE_AUTOMATION, TOPIC_TYPES.STATE)}`;
 const getTriggerUniqueId = (/** @type { string } */ uniqueId) => `${uniqueId}_trig`;
 const getSceneEventTopic = (/** @type {string} */ sceneId) => `${getTopicName(getTriggerUniqueId(sceneId), MQTT_TYPES.DEVICE_AUTOMATION, TOPIC_TYPES.STATE)}`;
 const getSubscribePath = () => `${discoveryPrefix}/+/${nodeId}/#`;
@@ -52,8 +59,11 @@ const decodeTopic = (topic) => {
   return matches.groups;
 };
 
+const DEFAULT_BRIGHTNESS_SCALE = 255;
+
 const getOutputDeviceDiscoveryPayload = (
   /** @type {import('./types/DeviceRegistry').OutputDevice} */ device,
+  /** @type {number} */ brightnessScale,
 ) => ({
   name: device.name,
   unique_id: device.uniqueId,
@@ -73,6 +83,22 @@ const getOutputDeviceDiscoveryPayload = (
     sw_version: device.version,
   },
   ...(device.type === MQTT_TYPES.LIGHT ? { brightness: device.dimmable, schema: 'json' } : {}),
+  ...(device.type === MQTT_TYPES.LIGHT
+    ? {
+      flash: true,
+      flash_time_short: FLASH_TIMES.short,
+      flash_time_long: FLASH_TIMES.long,
+      effect: true,
+      effect_list: Object.values(EFFECTS),
+    }
+    : {}),
+  // Progress of slow fades and whether the state is assumed after a restart
+  json_attributes_topic: `~/${TOPIC_TYPES.ATTRIBUTES}`,
+  ...(device.type === MQTT_TYPES.LIGHT
+  && device.dimmable
+  && brightnessScale !== DEFAULT_BRIGHTNESS_SCALE
+    ? { brightness_scale: brightnessScale }
+    : {}),
 });
 
 const getSceneDiscoveryPayload = (
@@ -88,15 +114,70 @@ const getSceneDiscoveryPayload = (
   retain: false,
 });
 
+const BUTTON_TRIGGER_TYPES = {
+  [BUTTON_EVENTS.SHORT_PRESS]: 'button_short_press',
+  [BUTTON_EVENTS.DOUBLE_PRESS]: 'button_double_press',
+  [BUTTON_EVENTS.LONG_PRESS]: 'button_long_press',
+  [BUTTON_EVENTS.LONG_RELEASE]: 'button_long_release',
+  [BUTTON_EVENTS.TURN_ON]: 'turn_on',
+  [BUTTON_EVENTS.TURN_OFF]: 'turn_off',
+  [BUTTON_EVENTS.ROTATE_LEFT]: 'rotate_left',
+  [BUTTON_EVENTS.ROTATE_RIGHT]: 'rotate_right',
+};
+
+const PRESS_EVENTS = [
+  BUTTON_EVENTS.SHORT_PRESS,
+  BUTTON_EVENTS.DOUBLE_PRESS,
+  BUTTON_EVENTS.LONG_PRESS,
+  BUTTON_EVENTS.LONG_RELEASE,
+];
+const ROTATION_EVENTS = [BUTTON_EVENTS.ROTATE_LEFT, BUTTON_EVENTS.ROTATE_RIGHT];
+
+/**
+ * Trigger events published for an input, depending on its buttonType
+ * @param {import('./types/DeviceRegistry').InputDevice} inputDevice
+ * @returns {string[]}
+ */
+const getInputDeviceEvents = (inputDevice) => {
+  switch (inputDevice.buttonType) {
+    case BUTTON_TYPES.ROTATE_MESH:
+      return ROTATION_EVENTS;
+    case BUTTON_TYPES.DIRECTION_UP:
+      return [...PRESS_EVENTS, BUTTON_EVENTS.TURN_ON];
+    case BUTTON_TYPES.DIRECTION_DOWN:
+      return [...PRESS_EVENTS, BUTTON_EVENTS.TURN_OFF];
+    default:
+      return PRESS_EVENTS;
+  }
+};
+
+// Short presses keep the payload and unique id used before other button events were added,
+// so that existing automations keep working
+const getButtonEventPayload = (
+  /** @type {number} */ deviceInput,
+  /** @type {string} */ buttonEvent,
+) => (buttonEvent === BUTTON_EVENTS.SHORT_PRESS ? `${deviceInput}` : `${deviceInput}_${buttonEvent}`);
+const getButtonTriggerUniqueId = (
+  /** @type {import('./types/DeviceRegistry').InputDevice} */ inputDevice,
+  /** @type {string} */ buttonEvent,
+) => (buttonEvent === BUTTON_EVENTS.SHORT_PRESS
+  ? inputDevice.uniqueId
+  : `${inputDevice.uniqueId}_${buttonEvent}`);
+
 const getInputDeviceTriggerDiscoveryPayload = (
   /** @type {import('./types/DeviceRegistry').InputDevice} */ inputDevice,
+  /** @type {string} */ buttonEvent,
 ) => ({
   automation_type: 'trigger',
-  payload: `${inputDevice.input}`,
-  '~': getBaseTopic(inputDevice.deviceId, MQTT_TYPES.DEVICE_AUTOMATION),
+  payload: getButtonEventPayload(inputDevice.input, buttonEvent),
   qos: 1,
-  topic: `~/${TOPIC_TYPES.STATE}`,
-  type: 'button_short_press',
+  ...(ROTATION_EVENTS.includes(buttonEvent)
+    ? {
+      topic: getButtonRotationTopic(inputDevice.deviceId),
+      value_template: '{{ value_json.event }}',
+    }
+    : { topic: getButtonEventTopic(inputDevice.deviceId) }),
+  type: BUTTON_TRIGGER_TYPES[buttonEvent],
   subtype: `button_${inputDevice.input + 1}`,
   device: {
     identifiers: `${inputDevice.deviceId}`,
@@ -123,12 +204,42 @@ const getSceneDeviceTriggerhDiscoveryPayload = (
   },
 });
 
+const CONNECTION_STATE_UNIQUE_ID = 'plejd_connection_state';
+
+const getConnectionStateDiscoveryPayload = () => ({
+  name: 'Plejd connection state',
+  unique_id: CONNECTION_STATE_UNIQUE_ID,
+  '~': getBaseTopic(CONNECTION_STATE_UNIQUE_ID, MQTT_TYPES.SENSOR),
+  state_topic: `~/${TOPIC_TYPES.STATE}`,
+  value_template: '{{ value_json.state }}',
+  json_attributes_topic: `~/${TOPIC_TYPES.STATE}`,
+  icon: 'mdi:bluetooth-connect',
+  qos: 1,
+  device: {
+    identifiers: 'plejd_addon',
+    manufacturer: 'Plejd',
+    model: 'Plejd add-on',
+    name: 'Plejd add-on',
+  },
+});
+
 const getMqttStateString = (/** @type {boolean} */ state) => (state ? 'ON' : 'OFF');
 const AVAILABLILITY = { ONLINE: 'online', OFFLINE: 'offline' };
 
+const DISCOVERY_TOPICS_PATH = '/data/discoveryTopics.json';
+const STALE_DISCOVERY_CLEANUP = { REMOVE: 'remove', DRY_RUN: 'dry-run', OFF: 'off' };
+
 class MqttClient extends EventEmitter {
+  /** @type {number} Max brightness as seen by HA */
+  brightnessScale;
+  /** @type {{state: string, previousState: string, reason: string, since: string}} */
+  connectionState = null;
   /** @type {import('DeviceRegistry')} */
   deviceRegistry;
+  /** @private @type {Set<string>} Discovery config topics published, also by earlier runs */
+  publishedDiscoveryTopics = new Set();
+  /** @private @type {Object.<string, Object.<string, any>>} Last published attributes by output */
+  outputAttributes = {};
 
   static EVENTS = {
     connected: 'connected',
@@ -143,10 +254,12 @@ class MqttClient extends EventEmitter {
 
     this.config = Configuration.getOptions();
     this.deviceRegistry = deviceRegistry;
+    this.brightnessScale = this.config.brightnessScale || DEFAULT_BRIGHTNESS_SCALE;
   }
 
   init() {
     logger.info('Initializing MQTT connection for Plejd addon');
+    this._loadDiscoveryTopics();
 
     this.client = mqtt.connect(this.config.mqttBroker, {
       clientId: `hassio-plejd_${Math.random().toString(16).substr(2, 8)}`,
@@ -215,6 +328,9 @@ class MqttClient extends EventEmitter {
             const messageString = message.toString();
             const isJsonMessage = messageString.startsWith('{');
             const command = isJsonMessage ? JSON.parse(messageString) : messageString;
+            if (isJsonMessage) {
+              this._convertBrightnessFromHa(command);
+            }
 
             const deviceName = device ? device.name : '';
 
@@ -295,113 +411,295 @@ class MqttClient extends EventEmitter {
   }
 
   sendDiscoveryToHomeAssistant() {
+    const previousDiscoveryTopics = new Set(this.publishedDiscoveryTopics);
+    this.publishedDiscoveryTopics.clear();
+
     const allOutputDevices = this.deviceRegistry.getAllOutputDevices();
     logger.info(`Sending discovery for ${allOutputDevices.length} Plejd output devices`);
-    allOutputDevices.forEach((outputDevice) => {
-      logger.debug(`Sending discovery for ${outputDevice.name}`);
+    allOutputDevices.forEach((outputDevice) => this._sendOutputDiscovery(outputDevice));
 
-      const configPayload = getOutputDeviceDiscoveryPayload(outputDevice);
-      logger.info(
-        `Discovered ${outputDevice.typeName} (${outputDevice.type}) named ${outputDevice.name} (${outputDevice.bleOutputAddress} : ${outputDevice.uniqueId}).`,
-      );
+    const allInputDevices = this.deviceRegistry.getAllInputDevices();
+    logger.info(`Sending discovery for ${allInputDevices.length} Plejd input devices`);
+    allInputDevices.forEach((inputDevice) => this._sendInputDiscovery(inputDevice));
 
-      const mqttType = outputDevice.type === 'switch' ? MQTT_TYPES.SWITCH : MQTT_TYPES.LIGHT;
-      this.client.publish(
-        getTopicName(outputDevice.uniqueId, mqttType, TOPIC_TYPES.CONFIG),
-        JSON.stringify(configPayload),
-        {
+    const allSceneDevices = this.deviceRegistry.getAllSceneDevices();
+    logger.info(`Sending discovery for ${allSceneDevices.length} Plejd scene devices`);
+    allSceneDevices.forEach((sceneDevice) => this._sendSceneDiscovery(sceneDevice));
+
+    logger.info('Sending discovery for Plejd connection state');
+    this._publishDiscoveryConfig(
+      getTopicName(CONNECTION_STATE_UNIQUE_ID, MQTT_TYPES.SENSOR, TOPIC_TYPES.CONFIG),
+      getConnectionStateDiscoveryPayload(),
+    );
+    if (this.connectionState) {
+      this._publishConnectionState();
+    }
+
+    this._removeStaleDiscovery(previousDiscoveryTopics);
+  }
+
+  /**
+   * Remove entities published by earlier runs that no longer exist, e.g. devices removed from
+   * the site or hidden from integrations, according to staleEntityCleanup
+   * @param {Set<string>} previousDiscoveryTopics
+   */
+  _removeStaleDiscovery(previousDiscoveryTopics) {
+    const staleTopics = [...previousDiscoveryTopics].filter(
+      (topic) => !this.publishedDiscoveryTopics.has(topic),
+    );
+    const cleanup = this.config.staleEntityCleanup || STALE_DISCOVERY_CLEANUP.REMOVE;
+    staleTopics.forEach((topic) => {
+      if (cleanup === STALE_DISCOVERY_CLEANUP.REMOVE) {
+        logger.info(`Removing stale discovery ${topic}`);
+        this.client.publish(topic, '', {
           retain: true,
           qos: 1,
-        },
-      );
-      setTimeout(() => {
-        this.client.publish(
-          getTopicName(outputDevice.uniqueId, mqttType, TOPIC_TYPES.AVAILABILITY),
-          AVAILABLILITY.ONLINE,
-          {
-            retain: true,
-            qos: 1,
-          },
-        );
-      }, 2000);
+        });
+      } else {
+        if (cleanup === STALE_DISCOVERY_CLEANUP.DRY_RUN) {
+          logger.info(`Dry run, would remove stale discovery ${topic}`);
+        }
+        // Keep tracking the topic, so that it can be removed once cleanup is enabled
+        this.publishedDiscoveryTopics.add(topic);
+      }
     });
+    this._saveDiscoveryTopics();
+  }
 
-    const allInputDevices = this.deviceRegistry.getAllInputDevices();
-    logger.info(`Sending discovery for ${allInputDevices.length} Plejd input devices`);
-    allInputDevices.forEach((inputDevice) => {
-      logger.debug(`Sending discovery for ${inputDevice.name}`);
-      const inputInputPayload = getInputDeviceTriggerDiscoveryPayload(inputDevice);
-      logger.info(
-        `Discovered ${inputDevice.typeName} (${inputDevice.type}) named ${inputDevice.name} (${inputDevice.bleInputAddress} : ${inputDevice.uniqueId}).`,
-      );
-      logger.verbose(
-        `Publishing  ${getTopicName(
-          inputDevice.uniqueId,
-          MQTT_TYPES.DEVICE_AUTOMATION,
-          TOPIC_TYPES.CONFIG,
-        )} with payload ${JSON.stringify(inputInputPayload)}`,
+  /**
+   * Publish a retained discovery config and remember the topic
+   * @param {string} topic
+   * @param {any} payload
+   */
+  _publishDiscoveryConfig(topic, payload) {
+    this.client.publish(topic, JSON.stringify(payload), {
+      retain: true,
+      qos: 1,
+    });
+    this.publishedDiscoveryTopics.add(topic);
+  }
+
+  _loadDiscoveryTopics() {
+    try {
+      const rawData = fs.readFileSync(DISCOVERY_TOPICS_PATH);
+      this.publishedDiscoveryTopics = new Set(JSON.parse(rawData.toString()));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.warn(`Failed to read published discovery topics from ${DISCOVERY_TOPICS_PATH}`, err);
+      }
+    }
+  }
+
+  async _saveDiscoveryTopics() {
+    try {
+      await fs.promises.writeFile(
+        DISCOVERY_TOPICS_PATH,
+        JSON.stringify([...this.publishedDiscoveryTopics]),
       );
+    } catch (err) {
+      logger.warn(`Failed to save published discovery topics to ${DISCOVERY_TOPICS_PATH}`, err);
+    }
+  }
 
-      this.client.publish(
-        getTopicName(inputDevice.uniqueId, MQTT_TYPES.DEVICE_AUTOMATION, TOPIC_TYPES.CONFIG),
-        JSON.stringify(inputInputPayload),
-        {
+  /**
+   * Update discovery of the entities affected by changes made to the site in the Plejd app
+   * @param {import('./types/DeviceRegistry').SiteChanges} changes
+   */
+  updateDiscovery(changes) {
+    changes.removed.forEach(({ kind, device }) => this._removeDiscovery(kind, device));
+    changes.changed.forEach(({ kind, device, previous }) => {
+      // Remove entities that no longer apply, e.g. when a light became a switch
+      this._removeDiscovery(kind, previous, device);
+      this._sendDiscovery(kind, device);
+    });
+    changes.added.forEach(({ kind, device }) => this._sendDiscovery(kind, device));
+    this._saveDiscoveryTopics();
+  }
+
+  /**
+   * @param {import('./types/DeviceRegistry').DeviceKind} kind
+   * @param {any} device
+   */
+  _sendDiscovery(kind, device) {
+    if (kind === 'output') {
+      this._sendOutputDiscovery(device);
+    } else if (kind === 'input') {
+      this._sendInputDiscovery(device);
+    } else {
+      this._sendSceneDiscovery(device);
+    }
+  }
+
+  /**
+   * Remove entities of a device from Home Assistant by publishing empty discovery configs
+   * @param {import('./types/DeviceRegistry').DeviceKind} kind
+   * @param {any} device
+   * @param {any} [keptDevice] Device replacing it, its config topics are not removed
+   */
+  _removeDiscovery(kind, device, keptDevice) {
+    const keptTopics = keptDevice ? this._getDiscoveryTopics(kind, keptDevice) : [];
+    this._getDiscoveryTopics(kind, device)
+      .filter((topic) => !keptTopics.includes(topic))
+      .forEach((topic) => {
+        logger.info(`Removing discovery ${topic} of ${device.name}`);
+        this.client.publish(topic, '', {
           retain: true,
           qos: 1,
-        },
-      );
-    });
+        });
+        this.publishedDiscoveryTopics.delete(topic);
+      });
+  }
 
-    const allSceneDevices = this.deviceRegistry.getAllSceneDevices();
-    logger.info(`Sending discovery for ${allSceneDevices.length} Plejd scene devices`);
-    allSceneDevices.forEach((sceneDevice) => {
-      logger.debug(`Sending discovery for ${sceneDevice.name}`);
+  /**
+   * @param {import('./types/DeviceRegistry').DeviceKind} kind
+   * @param {any} device
+   * @returns {string[]} Discovery config topics for the entities of a device
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _getDiscoveryTopics(kind, device) {
+    if (kind === 'output') {
+      const mqttType = device.type === 'switch' ? MQTT_TYPES.SWITCH : MQTT_TYPES.LIGHT;
+      return [getTopicName(device.uniqueId, mqttType, TOPIC_TYPES.CONFIG)];
+    }
+    if (kind === 'input') {
+      return getInputDeviceEvents(device).map((buttonEvent) => getTopicName(
+        getButtonTriggerUniqueId(device, buttonEvent),
+        MQTT_TYPES.DEVICE_AUTOMATION,
+        TOPIC_TYPES.CONFIG,
+      ));
+    }
+    return [
+      getTopicName(device.uniqueId, MQTT_TYPES.SCENE, TOPIC_TYPES.CONFIG),
+      getTopicName(
+        getTriggerUniqueId(device.uniqueId),
+        MQTT_TYPES.DEVICE_AUTOMATION,
+        TOPIC_TYPES.CONFIG,
+      ),
+    ];
+  }
 
-      const sceneConfigPayload = getSceneDiscoveryPayload(sceneDevice);
-      logger.info(
-        `Discovered ${sceneDevice.typeName} (${sceneDevice.type}) named ${sceneDevice.name} (${sceneDevice.bleOutputAddress} : ${sceneDevice.uniqueId}).`,
-      );
+  /** @param {import('./types/DeviceRegistry').OutputDevice} outputDevice */
+  _sendOutputDiscovery(outputDevice) {
+    logger.debug(`Sending discovery for ${outputDevice.name}`);
 
+    const configPayload = getOutputDeviceDiscoveryPayload(outputDevice, this.brightnessScale);
+    logger.info(
+      `Discovered ${outputDevice.typeName} (${outputDevice.type}) named ${outputDevice.name} (${outputDevice.bleOutputAddress} : ${outputDevice.uniqueId}).`,
+    );
+
+    const mqttType = outputDevice.type === 'switch' ? MQTT_TYPES.SWITCH : MQTT_TYPES.LIGHT;
+    this._publishDiscoveryConfig(
+      getTopicName(outputDevice.uniqueId, mqttType, TOPIC_TYPES.CONFIG),
+      configPayload,
+    );
+    setTimeout(() => {
       this.client.publish(
-        getTopicName(sceneDevice.uniqueId, MQTT_TYPES.SCENE, TOPIC_TYPES.CONFIG),
-        JSON.stringify(sceneConfigPayload),
+        getTopicName(outputDevice.uniqueId, mqttType, TOPIC_TYPES.AVAILABILITY),
+        AVAILABLILITY.ONLINE,
         {
           retain: true,
           qos: 1,
         },
       );
+      // Last known state, possibly restored from disk before the mesh has reported it
+      if (outputDevice.state !== undefined) {
+        this.updateOutputState(outputDevice.uniqueId, {
+          state: !!outputDevice.state,
+          brightness: outputDevice.dim,
+        });
+      }
+    }, 2000);
+  }
+
+  /** @param {import('./types/DeviceRegistry').InputDevice} inputDevice */
+  _sendInputDiscovery(inputDevice) {
+    logger.debug(`Sending discovery for ${inputDevice.name}`);
+    logger.info(
+      `Discovered ${inputDevice.typeName} (${inputDevice.type}) named ${inputDevice.name} (${inputDevice.bleInputAddress} : ${inputDevice.uniqueId}).`,
+    );
 
-      const sceneTriggerConfigPayload = getSceneDeviceTriggerhDiscoveryPayload(sceneDevice);
+    getInputDeviceEvents(inputDevice).forEach((buttonEvent) => {
+      const inputInputPayload = getInputDeviceTriggerDiscoveryPayload(inputDevice, buttonEvent);
+      const configTopic = getTopicName(
+        getButtonTriggerUniqueId(inputDevice, buttonEvent),
+        MQTT_TYPES.DEVICE_AUTOMATION,
+        TOPIC_TYPES.CONFIG,
+      );
+      logger.verbose(
+        `Publishing  ${configTopic} with payload ${JSON.stringify(inputInputPayload)}`,
+      );
 
+      this._publishDiscoveryConfig(configTopic, inputInputPayload);
+    });
+  }
+
+  /** @param {import('./types/DeviceRegistry').OutputDevice} sceneDevice */
+  _sendSceneDiscovery(sceneDevice) {
+    logger.debug(`Sending discovery for ${sceneDevice.name}`);
+
+    const sceneConfigPayload = getSceneDiscoveryPayload(sceneDevice);
+    logger.info(
+      `Discovered ${sceneDevice.typeName} (${sceneDevice.type}) named ${sceneDevice.name} (${sceneDevice.bleOutputAddress} : ${sceneDevice.uniqueId}).`,
+    );
+
+    this._publishDiscoveryConfig(
+      getTopicName(sceneDevice.uniqueId, MQTT_TYPES.SCENE, TOPIC_TYPES.CONFIG),
+      sceneConfigPayload,
+    );
+
+    const sceneTriggerConfigPayload = getSceneDeviceTriggerhDiscoveryPayload(sceneDevice);
+
+    this._publishDiscoveryConfig(
+      getTopicName(
+        getTriggerUniqueId(sceneDevice.uniqueId),
+        MQTT_TYPES.DEVICE_AUTOMATION,
+        TOPIC_TYPES.CONFIG,
+      ),
+      sceneTriggerConfigPayload,
+    );
+
+    setTimeout(() => {
       this.client.publish(
-        getTopicName(
-          getTriggerUniqueId(sceneDevice.uniqueId),
-          MQTT_TYPES.DEVICE_AUTOMATION,
-          TOPIC_TYPES.CONFIG,
-        ),
-        JSON.stringify(sceneTriggerConfigPayload),
+        getTopicName(sceneDevice.uniqueId, MQTT_TYPES.SCENE, TOPIC_TYPES.AVAILABILITY),
+        AVAILABLILITY.ONLINE,
         {
           retain: true,
           qos: 1,
         },
       );
+    }, 2000);
+  }
 
-      setTimeout(() => {
-        this.client.publish(
-          getTopicName(sceneDevice.uniqueId, MQTT_TYPES.SCENE, TOPIC_TYPES.AVAILABILITY),
-          AVAILABLILITY.ONLINE,
-          {
-            retain: true,
-            qos: 1,
-          },
-        );
-      }, 2000);
-    });
+  /**
+   * @param {string} state
+   * @param {string} previousState
+   * @param {string} reason
+   */
+  updateConnectionState(state, previousState, reason) {
+    this.connectionState = {
+      state,
+      previousState,
+      reason,
+      since: new Date().toISOString(),
+    };
+    this._publishConnectionState();
+  }
+
+  _publishConnectionState() {
+    logger.verbose(`Publishing connection state ${JSON.stringify(this.connectionState)}`);
+    this.client.publish(
+      getTopicName(CONNECTION_STATE_UNIQUE_ID, MQTT_TYPES.SENSOR, TOPIC_TYPES.STATE),
+      JSON.stringify(this.connectionState),
+      {
+        retain: true,
+        qos: 1,
+      },
+    );
   }
 
   /**
    * @param {string} uniqueOutputId
-   * @param {{ state: boolean; brightness?: number; }} data
+   * @param {{ state: boolean; brightness?: number; }} data Brightness as full 16 bit level
    */
   updateOutputState(uniqueOutputId, data) {
     const device = this.deviceRegistry.getOutputDevice(uniqueOutputId);
@@ -418,13 +716,18 @@ class MqttClient extends EventEmitter {
     );
     let payload = null;
 
+    const attributes = this.outputAttributes[uniqueOutputId] || {};
+    if (attributes.state_assumed !== !!device.stateAssumed) {
+      this._updateOutputAttributes(device, { state_assumed: !!device.stateAssumed });
+    }
+
     if (device.type === 'switch') {
       payload = getMqttStateString(data.state);
     } else {
       if (device.dimmable) {
         payload = {
           state: getMqttStateString(data.state),
-          brightness: data.brightness,
+          brightness: this._toHaBrightness(data.brightness),
         };
       } else {
         payload = {
@@ -447,13 +750,149 @@ class MqttClient extends EventEmitter {
     // );
   }
 
+  /**
+   * A command was dropped from the write queue without being written. Publish the last known
+   * state of the output, so that Home Assistant does not keep showing the requested state.
+   * @param {string} uniqueOutputId
+   * @param {string} command
+   */
+  commandExpired(uniqueOutputId, command) {
+    const device = this.deviceRegistry.getOutputDevice(uniqueOutputId);
+    if (!device) {
+      logger.verbose(`Expired ${command} for ${uniqueOutputId} has no state to correct`);
+      return;
+    }
+    logger.info(`${command} for ${device.name} expired, publishing last known state`);
+    this._publishLastKnownState(device);
+  }
+
+  /**
+   * A command could not be written to the mesh. Publish the last known state of the output,
+   * so that Home Assistant does not keep showing the requested state.
+   * @param {string} uniqueOutputId
+   * @param {string} command
+   * @param {string} [error]
+   */
+  commandFailed(uniqueOutputId, command, error) {
+    const device = this.deviceRegistry.getOutputDevice(uniqueOutputId);
+    if (!device) {
+      logger.verbose(`Failed ${command} for ${uniqueOutputId} has no state to correct`);
+      return;
+    }
+    logger.warn(
+      `${command || 'Command'} for ${device.name} failed${
+        error ? `: ${error}` : ''
+      }, publishing last known state`,
+    );
+    this._publishLastKnownState(device);
+  }
+
+  /** @param {import('./types/DeviceRegistry').OutputDevice} device */
+  _publishLastKnownState(device) {
+    this.updateOutputState(device.uniqueId, {
+      state: !!device.state,
+      brightness: device.state ? device.dim : 0,
+    });
+  }
+
+  /**
+   * Publish progress of a slow fade as attributes of the light
+   * @param {string} uniqueOutputId
+   * @param {{progress: number, target: number, endTime: number}} progress Null when no fade
+   */
+  updateFadeProgress(uniqueOutputId, progress) {
+    const device = this.deviceRegistry.getOutputDevice(uniqueOutputId);
+    if (!device) {
+      return;
+    }
+    this._updateOutputAttributes(device, {
+      fade_active: !!progress,
+      fade_progress: progress ? Math.round(progress.progress * 100) : undefined,
+      fade_target: progress ? this._toHaBrightness(progress.target) : undefined,
+      fade_end: progress ? new Date(progress.endTime).toISOString() : undefined,
+    });
+  }
+
+  /**
+   * Publish attributes of an output, merged with the attributes published before since Home
+   * Assistant replaces all attributes of the entity. Undefined attributes are removed.
+   * @param {import('./types/DeviceRegistry').OutputDevice} device
+   * @param {Object.<string, any>} attributes
+   */
+  _updateOutputAttributes(device, attributes) {
+    const payload = { ...this.outputAttributes[device.uniqueId], ...attributes };
+    this.outputAttributes[device.uniqueId] = payload;
+    const mqttType = device.type === 'switch' ? MQTT_TYPES.SWITCH : MQTT_TYPES.LIGHT;
+    this.client.publish(
+      getTopicName(device.uniqueId, mqttType, TOPIC_TYPES.ATTRIBUTES),
+      JSON.stringify(payload),
+      { retain: true, qos: 1 },
+    );
+  }
+
+  /**
+   * Convert brightness fields of a JSON command to 16 bit Plejd brightness.
+   * brightness_step_pct is converted to brightness_step.
+   * @param {any} command
+   */
+  _convertBrightnessFromHa(command) {
+    if (command.brightness !== undefined) {
+      command.brightness = this._fromHaBrightness(command.brightness);
+    }
+    if (command.brightness_step !== undefined) {
+      command.brightness_step = this._fromHaBrightness(command.brightness_step);
+    } else if (command.brightness_step_pct !== undefined) {
+      command.brightness_step = Math.round((command.brightness_step_pct * MAX_BRIGHTNESS) / 100);
+    }
+    if (typeof command.brightness_move === 'number') {
+      command.brightness_move = this._fromHaBrightness(command.brightness_move);
+    }
+  }
+
+  /**
+   * HA brightness (0 - brightnessScale) to 16 bit Plejd brightness
+   * @param {number} brightness
+   */
+  _fromHaBrightness(brightness) {
+    return Math.round((brightness * MAX_BRIGHTNESS) / this.brightnessScale);
+  }
+
+  /**
+   * 16 bit Plejd brightness to HA brightness (0 - brightnessScale)
+   * @param {number} [brightness]
+   */
+  _toHaBrightness(brightness) {
+    if (brightness === undefined || brightness === null) {
+      return undefined;
+    }
+    return Math.round((brightness * this.brightnessScale) / MAX_BRIGHTNESS);
+  }
+
   /**
    * @param {string} deviceId
-   * @param {string} deviceInput
+   * @param {number} deviceInput
+   * @param {string} [buttonEvent] One of BUTTON_EVENTS, defaults to short press
+   * @param {number} [steps] Number of steps turned, for rotate events
    */
-  buttonPressed(deviceId, deviceInput) {
-    logger.verbose(`Button ${deviceInput} pressed for deviceId ${deviceId}`);
-    this.client.publish(getButtonEventTopic(deviceId), `${deviceInput}`, { qos: 1 });
+  buttonPressed(deviceId, deviceInput, buttonEvent = BUTTON_EVENTS.SHORT_PRESS, steps = 1) {
+    logger.verbose(`Button ${deviceInput} ${buttonEvent} for deviceId ${deviceId}`);
+    if (ROTATION_EVENTS.includes(buttonEvent)) {
+      this.client.publish(
+        getButtonRotationTopic(deviceId),
+        JSON.stringify({
+          event: getButtonEventPayload(deviceInput, buttonEvent),
+          input: deviceInput,
+          steps,
+        }),
+        { qos: 1 },
+      );
+      return;
+    }
+    this.client.publish(
+      getButtonEventTopic(deviceId),
+      getButtonEventPayload(deviceInput, buttonEvent),
+      { qos: 1 },
+    );
   }
 
   /**
@@ -1,12 +1,15 @@
 const EventEmitter = require('events');
 
 const Configuration = require('./Configuration');
+const DeviceStateStore = require('./DeviceStateStore');
 const Logger = require('./Logger');
 const PlejdApi = require('./PlejdApi');
 const PlejdDeviceCommunication = require('./PlejdDeviceCommunication');
 const MqttClient = require('./MqttClient');
 const SceneManager = require('./SceneManager');
+const StateReconciler = require('./StateReconciler');
 const DeviceRegistry = require('./DeviceRegistry');
+const WriteQueue = require('./WriteQueue');
 
 const logger = Logger.getLogger('plejd-main');
 
@@ -14,6 +17,7 @@ class PlejdAddon extends EventEmitter {
   bleInitTimeout;
   config;
   deviceRegistry;
+  deviceStateStore;
   plejdApi;
   plejdDeviceCommunication;
   mqttClient;
@@ -25,6 +29,7 @@ class PlejdAddon extends EventEmitter {
 
     this.config = Configuration.getOptions();
     this.deviceRegistry = new DeviceRegistry();
+    this.deviceStateStore = new DeviceStateStore(this.deviceRegistry);
 
     this.plejdApi = new PlejdApi(this.deviceRegistry);
     this.plejdDeviceCommunication = new PlejdDeviceCommunication(this.deviceRegistry);
@@ -37,12 +42,16 @@ class PlejdAddon extends EventEmitter {
     this.mqttClient.removeAllListeners();
     this.plejdDeviceCommunication.cleanup();
     this.plejdDeviceCommunication.removeAllListeners();
+    this.plejdApi.cleanup();
+    this.plejdApi.removeAllListeners();
+    this.deviceStateStore.flush();
   }
 
   async init() {
     logger.info('Main Plejd addon init()...');
 
     await this.plejdApi.init();
+    await this.deviceStateStore.restore();
     this.sceneManager.init();
 
     this.processCleanupFunc = () => {
@@ -75,16 +84,8 @@ class PlejdAddon extends EventEmitter {
           if (device.typeName === 'Scene') {
             // we're triggering a scene, lets do that and jump out.
             // since scenes aren't "real" devices.
+            // sceneTriggered is sent back to HA once the scene has been triggered in the mesh
             this.sceneManager.executeScene(uniqueId);
-
-            // since the scene doesn't get any updates on whether it's executed or not,
-            // we fake this by directly send the sceneTriggered back to HA in order for
-            // it continue to acto on the scene (for non-plejd devices).
-            try {
-              this.mqttClient.sceneTriggered(uniqueId);
-            } catch (err) {
-              logger.error('Error in PlejdService.sceneTriggered callback', err);
-            }
             return;
           }
 
@@ -100,21 +101,27 @@ class PlejdAddon extends EventEmitter {
 
             // since the switch doesn't get any updates on whether it's on or not,
             // we fake this by directly send the updateState back to HA in order for
-            // it to change state.
-            this.mqttClient.updateOutputState(uniqueId, {
-              state,
-            });
+            // it to change state. The reconciler publishes the actual state instead, if enabled.
+            if (this.config.reconcilePolicy === StateReconciler.POLICIES.OFF) {
+              this.mqttClient.updateOutputState(uniqueId, {
+                state,
+              });
+            }
           } else {
             // eslint-disable-next-line prefer-destructuring
             state = command.state === 'ON';
             commandObj = command;
           }
 
-          if (state) {
-            this.plejdDeviceCommunication.turnOn(uniqueId, commandObj);
-          } else {
-            this.plejdDeviceCommunication.turnOff(uniqueId, commandObj);
-          }
+          this.plejdDeviceCommunication
+            .setOutput(uniqueId, { ...commandObj, state })
+            .then((result) => {
+              // Expired commands are reported through the commandExpired event
+              if (result && result.status === WriteQueue.RESULTS.FAILED) {
+                this.mqttClient.commandFailed(uniqueId, result.command, result.error);
+              }
+            })
+            .catch((err) => logger.error('Error reporting command result', err));
         } catch (err) {
           logger.error('Error in MqttClient.stateChanged callback', err);
         }
@@ -129,23 +136,57 @@ class PlejdAddon extends EventEmitter {
       (uniqueOutputId, command) => {
         try {
           this.mqttClient.updateOutputState(uniqueOutputId, command);
+          this.deviceStateStore.scheduleSave();
         } catch (err) {
           logger.error('Error in PlejdService.stateChanged callback', err);
         }
       },
     );
 
+    this.plejdDeviceCommunication.on(
+      PlejdDeviceCommunication.EVENTS.commandExpired,
+      (uniqueOutputId, command) => {
+        try {
+          this.mqttClient.commandExpired(uniqueOutputId, command);
+        } catch (err) {
+          logger.error('Error in PlejdService.commandExpired callback', err);
+        }
+      },
+    );
+
+    this.plejdDeviceCommunication.on(
+      PlejdDeviceCommunication.EVENTS.fadeProgress,
+      (uniqueOutputId, progress) => {
+        try {
+          this.mqttClient.updateFadeProgress(uniqueOutputId, progress);
+        } catch (err) {
+          logger.error('Error in PlejdService.fadeProgress callback', err);
+        }
+      },
+    );
+
     this.plejdDeviceCommunication.on(
       PlejdDeviceCommunication.EVENTS.buttonPressed,
-      (deviceId, deviceInput) => {
+      (deviceId, deviceInput, buttonEvent, steps) => {
         try {
-          this.mqttClient.buttonPressed(deviceId, deviceInput);
+          this.mqttClient.buttonPressed(deviceId, deviceInput, buttonEvent, steps);
         } catch (err) {
           logger.error('Error in PlejdService.buttonPressed callback', err);
         }
       },
     );
 
+    this.plejdDeviceCommunication.on(
+      PlejdDeviceCommunication.EVENTS.connectionStateChanged,
+      (state, previousState, reason) => {
+        try {
+          this.mqttClient.updateConnectionState(state, previousState, reason);
+        } catch (err) {
+          logger.error('Error in PlejdService.connectionStateChanged callback', err);
+        }
+      },
+    );
+
     this.plejdDeviceCommunication.on(PlejdDeviceCommunication.EVENTS.sceneTriggered, (sceneId) => {
       try {
         this.mqttClient.sceneTriggered(sceneId);
@@ -154,6 +195,21 @@ class PlejdAddon extends EventEmitter {
       }
     });
 
+    this.plejdApi.on(PlejdApi.EVENTS.siteChanged, (changes) => {
+      try {
+        this.plejdDeviceCommunication.removeDevices(
+          changes.removed
+            .filter(({ kind }) => kind !== 'input')
+            .map(({ device }) => device.uniqueId),
+        );
+        this.sceneManager.init();
+        this.mqttClient.updateDiscovery(changes);
+      } catch (err) {
+        logger.error('Error in PlejdApi.siteChanged callback', err);
+      }
+    });
+    this.plejdApi.startPeriodicRefresh();
+
     await this.plejdDeviceCommunication.init();
     logger.info('Main init done');
   }
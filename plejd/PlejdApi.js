@@ -1,7 +1,9 @@
 const axios = require('axios').default;
+const { EventEmitter } = require('events');
 const fs = require('fs');
 
 const Configuration = require('./Configuration');
+const { BUTTON_TYPES } = require('./constants');
 const Logger = require('./Logger');
 
 const API_APP_ID = 'zHtVqXt8k4yFyk2QGmgp48D9xZr2G94xWYnF4dak';
@@ -18,7 +20,7 @@ const TRAITS = {
 
 const logger = Logger.getLogger('plejd-api');
 
-class PlejdApi {
+class PlejdApi extends EventEmitter {
   /** @private @type {import('types/Configuration').Options} */
   config;
 
@@ -34,14 +36,81 @@ class PlejdApi {
   /** @private @type {import('types/ApiSite').ApiSite} */
   siteDetails;
 
+  /** @private @type {NodeJS.Timeout} */
+  refreshTimer = null;
+
+  static EVENTS = {
+    siteChanged: 'siteChanged',
+  };
+
   /**
    * @param {import("./DeviceRegistry")} deviceRegistry
    */
   constructor(deviceRegistry) {
+    super();
     this.config = Configuration.getOptions();
     this.deviceRegistry = deviceRegistry;
   }
 
+  cleanup() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  /** Refresh the site from the Plejd cloud every siteRefreshInterval minutes, if set */
+  startPeriodicRefresh() {
+    this.cleanup();
+    if (!this.config.siteRefreshInterval) {
+      return;
+    }
+    logger.info(`Refreshing site from Plejd cloud every ${this.config.siteRefreshInterval} minutes`);
+    this.refreshTimer = setInterval(
+      () => this.refresh(),
+      this.config.siteRefreshInterval * 60 * 1000,
+    );
+  }
+
+  /**
+   * Get site details again and apply changes made in the Plejd app (added, removed, renamed or
+   * moved devices, rooms and scenes) to the registry, keeping the state of existing devices.
+   * Emits siteChanged if anything changed.
+   */
+  async refresh() {
+    logger.info('Refreshing site details from Plejd cloud');
+    try {
+      try {
+        await this.getSiteDetails();
+      } catch (err) {
+        // The session token may have expired, typically when it came from the cache
+        logger.info('Getting site details failed, logging in again');
+        await this.login();
+        await this.getSiteDetails();
+      }
+    } catch (err) {
+      logger.warn('Site refresh failed, keeping current devices', err);
+      return;
+    }
+    this.saveCachedCopy();
+
+    const snapshot = this.deviceRegistry.getSnapshot();
+    this.deviceRegistry.setApiSite(this.siteDetails);
+    this.getDevices();
+    const changes = this.deviceRegistry.mergeSnapshot(snapshot);
+
+    const { added, removed, changed } = changes;
+    if (!added.length && !removed.length && !changed.length) {
+      logger.info('No changes to site');
+      return;
+    }
+    logger.info(
+      `Site changed. Added: ${added.length}, removed: ${removed.length}, changed: ${changed.length}`,
+    );
+    changed.forEach(({ device, fields }) => {
+      logger.verbose(`${device.name} (${device.uniqueId}) changed: ${fields.join(', ')}`);
+    });
+    this.emit(PlejdApi.EVENTS.siteChanged, changes);
+  }
+
   async init() {
     logger.info('init()');
     const cache = await this.getCachedCopy();
@@ -255,49 +324,42 @@ class PlejdApi {
           name: 'DIM-01',
           type: 'light',
           dimmable: true,
-          broadcastClicks: false,
         };
       case 2:
         return {
           name: 'DIM-02',
           type: 'light',
           dimmable: true,
-          broadcastClicks: false,
         };
       case 3:
         return {
           name: 'CTR-01',
           type: 'light',
           dimmable: false,
-          broadcastClicks: false,
         };
       case 4:
         return {
           name: 'GWY-01',
           type: 'sensor',
           dimmable: false,
-          broadcastClicks: false,
         };
       case 5:
         return {
           name: 'LED-10',
           type: 'light',
           dimmable: true,
-          broadcastClicks: false,
         };
       case 6:
         return {
           name: 'WPH-01',
           type: 'device_automation',
           dimmable: false,
-          broadcastClicks: true,
         };
       case 7:
         return {
           name: 'REL-01',
           type: 'switch',
           dimmable: false,
-          broadcastClicks: false,
         };
       case 8:
       case 9:
@@ -306,14 +368,12 @@ class PlejdApi {
           name: '-unknown-',
           type: 'light',
           dimmable: false,
-          broadcastClicks: false,
         };
       case 10:
         return {
           name: 'WRT-01',
           type: 'device_automation',
           dimmable: false,
-          broadcastClicks: true,
         };
       case 12:
         // Unknown
@@ -321,14 +381,12 @@ class PlejdApi {
           name: '-unknown-',
           type: 'light',
           dimmable: false,
-          broadcastClicks: false,
         };
       case 13:
         return {
           name: 'Generic',
           type: 'light',
           dimmable: false,
-          broadcastClicks: false,
         };
       case 14:
       case 15:
@@ -338,21 +396,18 @@ class PlejdApi {
           name: '-unknown-',
           type: 'light',
           dimmable: false,
-          broadcastClicks: false,
         };
       case 17:
         return {
           name: 'REL-01',
           type: 'switch',
           dimmable: false,
-          broadcastClicks: false,
         };
       case 18:
         return {
           name: 'REL-02',
           type: 'switch',
           dimmable: false,
-          broadcastClicks: false,
         };
       case 19:
         // Unknown
@@ -360,14 +415,12 @@ class PlejdApi {
           name: '-unknown-',
           type: 'light',
           dimmable: false,
-          broadcastClicks: false,
         };
       case 20:
         return {
           name: 'SPR-01',
           type: 'switch',
           dimmable: false,
-          broadcastClicks: false,
         };
       default:
         throw new Error(`Unknown device type with id ${plejdDevice.hardwareId}`);
@@ -443,6 +496,7 @@ class PlejdApi {
           const outputDevice = {
             bleOutputAddress,
             deviceId: device.deviceId,
+            dimCurve: outputSettings ? outputSettings.dimCurve : undefined,
             dimmable,
             hiddenFromRoomList: device.hiddenFromRoomList,
             hiddenFromIntegrations: device.hiddenFromIntegrations,
@@ -459,43 +513,48 @@ class PlejdApi {
 
           this.deviceRegistry.addOutputDevice(outputDevice);
         }
-      } else {
-        // The device does not have an output. It can be assumed to be a WPH-01 or a WRT-01
-        // Filter inputSettings for available buttons
-        const inputSettings = this.siteDetails.inputSettings.filter(
-          (x) => x.deviceId === device.deviceId,
-        );
+      }
 
-        // For each found button, register the device as an inputDevice
-        inputSettings.forEach((input) => {
-          const bleInputAddress = this.siteDetails.deviceAddress[input.deviceId];
-          logger.verbose(
-            `Found input device (${input.deviceId}), with input ${input.input} having BLE address (${bleInputAddress})`,
-          );
+      // Inputs are registered for all devices, also those with outputs (e.g. push buttons
+      // wired to a DIM-01/CTR-01), not only for WPH-01/WRT-01
+      this._addInputDevices(device);
+    });
+  }
 
-          const plejdDevice = this.siteDetails.plejdDevices.find(
-            (x) => x.deviceId === device.deviceId,
-          );
+  /** @param {import('./types/ApiSite').Device} device */
+  _addInputDevices(device) {
+    const inputSettings = this.siteDetails.inputSettings.filter(
+      (x) => x.deviceId === device.deviceId,
+    );
+    if (!inputSettings.length) {
+      return;
+    }
 
-          const uniqueInputId = this.deviceRegistry.getUniqueInputId(device.deviceId, input.input);
-          const { name: typeName, type, broadcastClicks } = this._getDeviceType(plejdDevice);
-          if (broadcastClicks) {
-            /** @type {import('types/DeviceRegistry').InputDevice} */
-            const inputDevice = {
-              bleInputAddress,
-              deviceId: device.deviceId,
-              name: device.title,
-              input: input.input,
-              roomId: device.roomId,
-              type,
-              typeName,
-              version: plejdDevice.firmware.version,
-              uniqueId: uniqueInputId,
-            };
-            this.deviceRegistry.addInputDevice(inputDevice);
-          }
-        });
-      }
+    const plejdDevice = this.siteDetails.plejdDevices.find((x) => x.deviceId === device.deviceId);
+    const { name: typeName, type } = this._getDeviceType(plejdDevice);
+    const bleInputAddress = this.siteDetails.deviceAddress[device.deviceId];
+
+    // For each found button, register the device as an inputDevice
+    inputSettings.forEach((input) => {
+      logger.verbose(
+        `Found input device (${input.deviceId}), with input ${input.input} (${input.buttonType}) having BLE address (${bleInputAddress})`,
+      );
+
+      /** @type {import('types/DeviceRegistry').InputDevice} */
+      const inputDevice = {
+        bleInputAddress,
+        buttonType: input.buttonType || BUTTON_TYPES.PUSH_BUTTON,
+        deviceId: device.deviceId,
+        doubleSidedDirectionButton: !!input.doubleSidedDirectionButton,
+        name: device.title,
+        input: input.input,
+        roomId: device.roomId,
+        type,
+        typeName,
+        version: plejdDevice.firmware.version,
+        uniqueId: this.deviceRegistry.getUniqueInputId(device.deviceId, input.input),
+      };
+      this.deviceRegistry.addInputDevice(inputDevice);
     });
   }
 
@@ -1,35 +1,37 @@
 const dbus = require('dbus-next');
 const crypto = require('crypto');
-const xor = require('buffer-xor');
-const { EventEmitter } = require('events');
 
 const Configuration = require('./Configuration');
 const constants = require('./constants');
 const Logger = require('./Logger');
-
-const { COMMANDS } = constants;
+const MeshTransport = require('./MeshTransport');
+const ReconnectBackoffPolicy = require('./ReconnectBackoffPolicy');
+const {
+  PLEJD_SERVICE,
+  DATA_UUID,
+  LAST_DATA_UUID,
+  AUTH_UUID,
+  PING_UUID,
+  BLE_CMD_DIM_CHANGE,
+  BLE_CMD_DIM2_CHANGE,
+  BLE_CMD_STATE_CHANGE,
+  BLE_CMD_SCENE_TRIG,
+  BLE_CMD_TIME_UPDATE,
+  BLE_CMD_REMOTE_CLICK,
+  BLE_REMOTE_CLICK_RELEASE,
+  BLE_BROADCAST_DEVICE_ID,
+  BLE_SCENE_DEVICE_ID,
+  BLE_REQUEST_NO_RESPONSE,
+  BLE_REQUEST_RESPONSE,
+  BLE_REQUEST_READ_VALUE,
+  createChallengeResponse,
+  encryptDecrypt,
+  reverseBuffer,
+} = require('./PlejdBLEProtocol');
+
+const { BRIGHTNESS_TOLERANCE, BUTTON_TYPES, COMMANDS } = constants;
 const logger = Logger.getLogger('plejd-ble');
 
-// UUIDs
-const BLE_UUID_SUFFIX = '6085-4726-be45-040c957391b5';
-const PLEJD_SERVICE = `31ba0001-${BLE_UUID_SUFFIX}`;
-const DATA_UUID = `31ba0004-${BLE_UUID_SUFFIX}`;
-const LAST_DATA_UUID = `31ba0005-${BLE_UUID_SUFFIX}`;
-const AUTH_UUID = `31ba0009-${BLE_UUID_SUFFIX}`;
-const PING_UUID = `31ba000a-${BLE_UUID_SUFFIX}`;
-
-const BLE_CMD_DIM_CHANGE = 0x00c8;
-const BLE_CMD_DIM2_CHANGE = 0x0098;
-const BLE_CMD_STATE_CHANGE = 0x0097;
-const BLE_CMD_SCENE_TRIG = 0x0021;
-const BLE_CMD_TIME_UPDATE = 0x001b;
-const BLE_CMD_REMOTE_CLICK = 0x0016;
-
-const BLE_BROADCAST_DEVICE_ID = 0x01;
-const BLE_REQUEST_NO_RESPONSE = 0x0110;
-const BLE_REQUEST_RESPONSE = 0x0102;
-// const BLE_REQUEST_READ_VALUE = 0x0103;
-
 const BLUEZ_SERVICE_NAME = 'org.bluez';
 const DBUS_OM_INTERFACE = 'org.freedesktop.DBus.ObjectManager';
 const DBUS_PROP_INTERFACE = 'org.freedesktop.DBus.Properties';
@@ -41,11 +43,18 @@ const GATT_CHRC_ID = 'org.bluez.GattCharacteristic1';
 
 const delay = (timeout) => new Promise((resolve) => setTimeout(resolve, timeout));
 
-class PlejBLEHandler extends EventEmitter {
+class PlejBLEHandler extends MeshTransport {
   adapter;
+  /** @type {string} dbus object path of the adapter in use, e.g. /org/bluez/hci0 */
+  adapterPath = null;
   adapterProperties;
+  /** @type {ReconnectBackoffPolicy} */
+  backoffPolicy;
   config;
+  /** Connection candidates found in the last discovery, best candidate first */
   bleDevices = [];
+  /** Index in bleDevices of the candidate currently connected (or being connected) to */
+  candidateIndex = -1;
   bus = null;
   connectedDevice = null;
   consecutiveWriteFails;
@@ -53,20 +62,51 @@ class PlejBLEHandler extends EventEmitter {
   /** @type {import('./DeviceRegistry')} */
   deviceRegistry;
   discoveryTimeout = null;
+  // Writes waiting for the mesh to report the new state when confirmWrites is on
+  // eslint-disable-next-line max-len
+  /** @type {Map<number, {expectedState: number, expectedDim?: number, resolve: () => void, reject: (err: Error) => void, timeout: NodeJS.Timeout}>} */
+  pendingConfirmations = new Map();
   plejdService = null;
   pingRef = null;
   requestCurrentPlejdTimeRef = null;
   reconnectInProgress = false;
   emergencyReconnectTimeout = null;
+  state = 'idle';
+  stateReason = null;
+  /** @type {Date} */
+  stateChangedAt = null;
 
   // Refer to BLE-states.md regarding the internal BLE/bluez state machine of Bluetooth states
-  // These states refer to the state machine of this file
-  static STATES = ['MAIN_INIT', 'GET_ADAPTER_PROXY'];
+  // These states refer to the connection state machine of this file
+  static STATES = {
+    IDLE: 'idle',
+    ADAPTER_LOOKUP: 'adapterLookup',
+    DISCOVERY: 'discovery',
+    CONNECTING: 'connecting',
+    AUTHENTICATING: 'authenticating',
+    CONNECTED: 'connected',
+    BACKING_OFF: 'backingOff',
+    POWER_CYCLING: 'powerCycling',
+  };
+
+  /**
+   * Valid transitions, [from]: [to, ...]. Any connection problem leads to backing off,
+   * after which the reconnect loop starts over with an adapter lookup.
+   * @type {Object.<string, string[]>}
+   */
+  static STATE_TRANSITIONS = {
+    idle: ['adapterLookup', 'backingOff'],
+    adapterLookup: ['discovery', 'backingOff', 'powerCycling'],
+    discovery: ['connecting', 'backingOff', 'powerCycling'],
+    connecting: ['connecting', 'authenticating', 'backingOff', 'powerCycling'],
+    authenticating: ['connecting', 'connected', 'backingOff', 'powerCycling'],
+    connected: ['connecting', 'backingOff'],
+    backingOff: ['backingOff', 'adapterLookup', 'powerCycling'],
+    powerCycling: ['adapterLookup', 'discovery', 'backingOff'],
+  };
 
   static EVENTS = {
-    connected: 'connected',
-    reconnecting: 'reconnecting',
-    commandReceived: 'commandReceived',
+    ...MeshTransport.EVENTS,
     writeFailed: 'writeFailed',
     writeSuccess: 'writeSuccess',
   };
@@ -77,6 +117,7 @@ class PlejBLEHandler extends EventEmitter {
     logger.info('Starting Plejd BLE Handler, resetting all device states.');
 
     this.config = Configuration.getOptions();
+    this.backoffPolicy = ReconnectBackoffPolicy.fromConfiguration();
     this.deviceRegistry = deviceRegistry;
 
     // Holds a reference to all characteristics
@@ -87,14 +128,14 @@ class PlejBLEHandler extends EventEmitter {
       auth: null,
       ping: null,
     };
-
-    this.bus = dbus.systemBus();
   }
 
   cleanup() {
-    logger.verbose('cleanup() - Clearing ping interval and clock update timer');
+    logger.verbose('cleanup() - Clearing ping interval, clock update and discovery timers');
     clearInterval(this.pingRef);
     clearTimeout(this.requestCurrentPlejdTimeRef);
+    clearTimeout(this.discoveryTimeout);
+    this._rejectPendingConfirmations('Connection reset before write was confirmed');
 
     logger.verbose('Removing listeners to write events, bus events and objectManager...');
 
@@ -116,19 +157,11 @@ class PlejBLEHandler extends EventEmitter {
   async init() {
     logger.info('init()');
 
-    this.on(PlejBLEHandler.EVENTS.writeFailed, (error) => this._onWriteFailed(error));
-    this.on(PlejBLEHandler.EVENTS.writeSuccess, () => this._onWriteSuccess());
-
-    this.bus.on('error', (err) => {
-      // Uncaught error events will show UnhandledPromiseRejection logs
-      logger.verbose(`dbus-next error event: ${err.message}`);
-    });
-    this.bus.on('connect', () => {
-      logger.verbose('dbus-next connected');
-    });
-    // this.bus also has a 'message' event that gets emitted _very_ frequently
+    this._addWriteListeners();
+    this._initBus();
 
     this.adapter = null;
+    this.adapterPath = null;
     this.adapterProperties = null;
     this.consecutiveWriteFails = 0;
 
@@ -139,7 +172,25 @@ class PlejBLEHandler extends EventEmitter {
     }
 
     this.bleDevices = [];
+    this.candidateIndex = -1;
+    this._resetConnection();
+
+    this._setState(PlejBLEHandler.STATES.ADAPTER_LOOKUP, 'Initializing BLE');
+    await this._getInterface();
+    this._setState(PlejBLEHandler.STATES.DISCOVERY, 'Scanning for Plejd devices');
+    await this._startGetPlejdDevice();
+
+    logger.info('BLE init done, waiting for devices.');
+  }
+
+  _addWriteListeners() {
+    this.on(PlejBLEHandler.EVENTS.writeFailed, (error) => this._onWriteFailed(error));
+    this.on(PlejBLEHandler.EVENTS.writeSuccess, () => this._onWriteSuccess());
+  }
+
+  _resetConnection() {
     this.connectedDevice = null;
+    this.plejdService = null;
 
     this.characteristics = {
       data: null,
@@ -148,11 +199,48 @@ class PlejBLEHandler extends EventEmitter {
       auth: null,
       ping: null,
     };
+  }
 
-    await this._getInterface();
-    await this._startGetPlejdDevice();
+  /**
+   * Move the connection state machine to a new state. An invalid transition is logged and
+   * ignored, keeping the current state.
+   * @param {string} newState One of PlejBLEHandler.STATES
+   * @param {string} reason Human readable reason, published along with the state
+   */
+  _setState(newState, reason) {
+    const previousState = this.state;
+    if (!PlejBLEHandler.STATE_TRANSITIONS[previousState].includes(newState)) {
+      logger.error(`Invalid BLE state transition ${previousState} => ${newState} (${reason})`);
+      return;
+    }
 
-    logger.info('BLE init done, waiting for devices.');
+    this.state = newState;
+    this.stateReason = reason;
+    this.stateChangedAt = new Date();
+
+    logger.debug(`BLE state ${previousState} => ${newState}: ${reason}`);
+    this.emit(PlejBLEHandler.EVENTS.stateChanged, newState, previousState, reason);
+  }
+
+  _initBus() {
+    // The system bus is created on first init rather than in the constructor,
+    // so that constructing the handler does not require a running dbus/BlueZ
+    if (!this.bus) {
+      this.bus = dbus.systemBus();
+    }
+
+    this.bus.on('error', (err) => {
+      // Uncaught error events will show UnhandledPromiseRejection logs
+      logger.verbose(`dbus-next error event: ${err.message}`);
+    });
+    this.bus.on('connect', () => {
+      logger.verbose('dbus-next connected');
+    });
+    // this.bus also has a 'message' event that gets emitted _very_ frequently
+  }
+
+  _resetBus() {
+    this.bus = dbus.systemBus();
   }
 
   /**
@@ -161,29 +249,165 @@ class PlejBLEHandler extends EventEmitter {
    * @param {number} data
    */
   async sendCommand(command, bleOutputAddress, data) {
+    const confirm = this._shouldConfirmWrite(command, bleOutputAddress);
+    const requestType = confirm ? BLE_REQUEST_RESPONSE : BLE_REQUEST_NO_RESPONSE;
     let payload;
-    let brightnessVal;
+    let device;
     switch (command) {
       case COMMANDS.TURN_ON:
-        payload = this._createHexPayload(bleOutputAddress, BLE_CMD_STATE_CHANGE, '01');
+        payload = this._createHexPayload(bleOutputAddress, BLE_CMD_STATE_CHANGE, '01', requestType);
         break;
       case COMMANDS.TURN_OFF:
-        payload = this._createHexPayload(bleOutputAddress, BLE_CMD_STATE_CHANGE, '00');
+        payload = this._createHexPayload(bleOutputAddress, BLE_CMD_STATE_CHANGE, '00', requestType);
         break;
       case COMMANDS.DIM:
-        // eslint-disable-next-line no-bitwise
-        brightnessVal = (data << 8) | data;
+        // data is the full 16 bit brightness level
         payload = this._createHexPayload(
           bleOutputAddress,
           BLE_CMD_DIM2_CHANGE,
-          `01${brightnessVal.toString(16).padStart(4, '0')}`,
+          `01${data.toString(16).padStart(4, '0')}`,
+          requestType,
+        );
+        break;
+      case COMMANDS.TRIGGER_SCENE:
+        // bleOutputAddress is the scene index, the trigger itself is sent to the scene address
+        payload = this._createHexPayload(
+          BLE_SCENE_DEVICE_ID,
+          BLE_CMD_SCENE_TRIG,
+          bleOutputAddress.toString(16).padStart(2, '0'),
+        );
+        break;
+      case COMMANDS.READ_STATE:
+        // The mesh answers with a regular state (or state+dim) notification on lastData
+        device = this.deviceRegistry.getOutputDeviceByBleOutputAddress(bleOutputAddress);
+        payload = this._createHexPayload(
+          bleOutputAddress,
+          device && device.dimmable ? BLE_CMD_DIM2_CHANGE : BLE_CMD_STATE_CHANGE,
+          '',
+          BLE_REQUEST_READ_VALUE,
         );
         break;
       default:
         logger.error(`Unknown command ${command}`);
         throw new Error(`Unknown command ${command}`);
     }
-    await this._write(payload);
+
+    if (!confirm) {
+      await this._write(payload);
+      return;
+    }
+
+    const expectedState = command === COMMANDS.TURN_OFF ? 0 : 1;
+    const expectedDim = command === COMMANDS.DIM ? data : undefined;
+    const confirmation = this._waitForConfirmation(bleOutputAddress, expectedState, expectedDim);
+    try {
+      await this._write(payload);
+    } catch (err) {
+      this._settleConfirmation(bleOutputAddress, err);
+      throw err;
+    }
+    await confirmation;
+  }
+
+  /**
+   * Confirmation is only possible for commands that make the addressed output report
+   * its new state. Rooms report state per device, so room commands are not confirmed.
+   * @param {string} command
+   * @param {number} bleOutputAddress
+   */
+  _shouldConfirmWrite(command, bleOutputAddress) {
+    if (
+      !this.config.confirmWrites
+      || ![COMMANDS.TURN_ON, COMMANDS.TURN_OFF, COMMANDS.DIM].includes(command)
+    ) {
+      return false;
+    }
+    const device = this.deviceRegistry.getOutputDeviceByBleOutputAddress(bleOutputAddress);
+    return !!device && device.typeName !== 'Room';
+  }
+
+  /**
+   * Resolves when the mesh reports the expected state for the address,
+   * rejects if that does not happen within confirmWriteTimeout ms
+   * @param {number} bleOutputAddress
+   * @param {number} expectedState
+   * @param {number} [expectedDim] Brightness written by a DIM command
+   * @returns {Promise<void>}
+   */
+  _waitForConfirmation(bleOutputAddress, expectedState, expectedDim) {
+    this._settleConfirmation(
+      bleOutputAddress,
+      new Error('Superseded by a new write to the same address'),
+    );
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        logger.warn(
+          `Write to BLE address ${bleOutputAddress} not confirmed within ${this.config.confirmWriteTimeout} ms`,
+        );
+        this._settleConfirmation(
+          bleOutputAddress,
+          new Error(`Write to BLE address ${bleOutputAddress} not confirmed by mesh`),
+        );
+      }, this.config.confirmWriteTimeout);
+
+      this.pendingConfirmations.set(bleOutputAddress, {
+        expectedState,
+        expectedDim,
+        resolve,
+        reject,
+        timeout,
+      });
+    });
+  }
+
+  /**
+   * Resolve (no error) or reject a pending confirmation
+   * @param {number} bleOutputAddress
+   * @param {Error} [error]
+   */
+  _settleConfirmation(bleOutputAddress, error) {
+    const pending = this.pendingConfirmations.get(bleOutputAddress);
+    if (!pending) {
+      return;
+    }
+
+    clearTimeout(pending.timeout);
+    this.pendingConfirmations.delete(bleOutputAddress);
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve();
+    }
+  }
+
+  /** @param {string} reason */
+  _rejectPendingConfirmations(reason) {
+    [...this.pendingConfirmations.keys()].forEach((bleOutputAddress) => {
+      this._settleConfirmation(bleOutputAddress, new Error(reason));
+    });
+  }
+
+  /**
+   * Called for every state report from the mesh. A DIM write is confirmed by a reported
+   * brightness close to the written one, TURN_ON and TURN_OFF by the reported state.
+   * @param {number} bleOutputAddress
+   * @param {number} state
+   * @param {number} [dim] Only reported by dimmable outputs
+   */
+  _onOutputStateReported(bleOutputAddress, state, dim) {
+    const pending = this.pendingConfirmations.get(bleOutputAddress);
+    if (!pending || pending.expectedState !== state) {
+      return;
+    }
+    if (
+      pending.expectedDim !== undefined
+      && (dim === undefined || Math.abs(pending.expectedDim - dim) > BRIGHTNESS_TOLERANCE)
+    ) {
+      return;
+    }
+    logger.verbose(`Write to BLE address ${bleOutputAddress} confirmed by mesh`);
+    this._settleConfirmation(bleOutputAddress);
   }
 
   async _initDiscoveredPlejdDevice(path) {
@@ -196,6 +420,11 @@ class PlejBLEHandler extends EventEmitter {
       const device = await proxyObject.getInterface(BLUEZ_DEVICE_ID);
       const properties = await proxyObject.getInterface(DBUS_PROP_INTERFACE);
 
+      if (this.bleDevices.some((d) => d.path === path)) {
+        logger.verbose(`${path} already discovered`);
+        return;
+      }
+
       const plejd = { path };
 
       plejd.rssi = (await properties.Get(BLUEZ_DEVICE_ID, 'RSSI')).value;
@@ -204,11 +433,12 @@ class PlejBLEHandler extends EventEmitter {
       const segments = plejd.path.split('/');
       let plejdSerialNumber = segments[segments.length - 1].replace('dev_', '');
       plejdSerialNumber = plejdSerialNumber.replace(/_/g, '');
+      plejd.serialNumber = plejdSerialNumber;
       plejd.device = this.deviceRegistry.getPhysicalDevice(plejdSerialNumber);
 
       if (plejd.device) {
         logger.debug(
-          `Discovered ${plejd.path} with rssi ${plejd.rssi} dBm, name ${plejd.device.name}`,
+          `Discovered ${plejd.path} (${plejd.serialNumber}) with rssi ${plejd.rssi} dBm, name ${plejd.device.name}`,
         );
         this.bleDevices.push(plejd);
       } else {
@@ -221,6 +451,9 @@ class PlejBLEHandler extends EventEmitter {
 
   async _inspectDevicesDiscovered() {
     try {
+      // Discovery window is over, candidates showing up later are picked up on next rescan
+      this.objectManager.removeAllListeners('InterfacesAdded');
+
       if (this.bleDevices.length === 0) {
         logger.error('Discovery timeout elapsed, no devices found. Starting reconnect loop...');
         throw new Error('Discovery timeout elapsed');
@@ -228,31 +461,8 @@ class PlejBLEHandler extends EventEmitter {
 
       logger.info(`Device discovery done, found ${this.bleDevices.length} Plejd devices`);
 
-      const sortedDevices = this.bleDevices.sort((a, b) => b.rssi - a.rssi);
-
-      // eslint-disable-next-line no-restricted-syntax
-      for (const plejd of sortedDevices) {
-        try {
-          logger.verbose(`Inspecting ${plejd.path}`);
-          if (plejd.instance) {
-            logger.info(`Connecting to ${plejd.path}`);
-            // eslint-disable-next-line no-await-in-loop
-            await plejd.instance.Connect();
-
-            logger.verbose('Connected. Waiting for timeout before reading characteristics...');
-            // eslint-disable-next-line no-await-in-loop
-            await delay(this.config.connectionTimeout * 1000);
-
-            // eslint-disable-next-line no-await-in-loop
-            const connectedPlejdDevice = await this._onDeviceConnected(plejd);
-            if (connectedPlejdDevice) {
-              break;
-            }
-          }
-        } catch (err) {
-          logger.warn('Unable to connect. ', err);
-        }
-      }
+      this._rankCandidates();
+      await this._connectToNextCandidate();
 
       try {
         logger.verbose('Stopping discovery...');
@@ -260,15 +470,23 @@ class PlejBLEHandler extends EventEmitter {
         logger.verbose('Stopped BLE discovery');
       } catch (err) {
         logger.error('Failed to stop discovery.', err);
-        if (err.message.includes('Operation already in progress')) {
+        if (
+          err.message.includes('Operation already in progress')
+          && this.backoffPolicy.powerCycleAllowed
+        ) {
           logger.info(
             'If you continue to get "operation already in progress" error, you can try power cycling the bluetooth adapter. Get root console access, run "bluetoothctl" => "power off" => "power on" => "exit" => restart addon.',
           );
           try {
             await delay(250);
             logger.verbose('Power cycling...');
+            this._setState(
+              PlejBLEHandler.STATES.POWER_CYCLING,
+              'Failed to stop discovery, operation already in progress',
+            );
             await this._powerCycleAdapter();
             logger.verbose('Trying again...');
+            this._setState(PlejBLEHandler.STATES.DISCOVERY, 'Scanning again after power cycle');
             await this._startGetPlejdDevice();
           } catch (errInner) {
             logger.error('Failed to retry internalInit. Starting reconnect loop', errInner);
@@ -284,35 +502,136 @@ class PlejBLEHandler extends EventEmitter {
         throw new Error('Could not connect to any Plejd device');
       }
 
-      logger.info(`BLE Connected to ${this.connectedDevice.name}`);
-
-      // Connected and authenticated, request current time and start ping
-      if (this.config.updatePlejdClock) {
-        this._requestCurrentPlejdTime();
-      } else {
-        logger.info('Plejd clock updates disabled in configuration.');
-      }
-      this._startPing();
-
-      // After we've authenticated, we need to hook up the event listener
-      // for changes to lastData.
-      this.characteristics.lastDataProperties.on('PropertiesChanged', (
-        iface,
-        properties,
-        // invalidated (third param),
-      ) => this._onLastDataUpdated(iface, properties));
-      this.characteristics.lastData.StartNotify();
-      this.consecutiveReconnectAttempts = 0;
-      this.emit(PlejBLEHandler.EVENTS.connected);
-
-      clearTimeout(this.emergencyReconnectTimeout);
-      this.emergencyReconnectTimeout = null;
+      this._startCommunication();
     } catch (err) {
       // This method is run on a timer, so errors can't e re-thrown.
       // Start reconnect loop if errors occur here
       logger.debug(`Starting reconnect loop due to ${err.message}`);
-      this.startReconnectPeriodicallyLoop();
+      this.startReconnectPeriodicallyLoop(err.message);
+    }
+  }
+
+  /**
+   * Sort discovered devices with the preferredDevices from config first (in configured order),
+   * followed by the remaining devices with the strongest signal first
+   */
+  _rankCandidates() {
+    const preferredDevices = (this.config.preferredDevices || []).map((deviceId) => deviceId.replace(/[^0-9a-f]/gi, '').toUpperCase());
+    const discoveredDevices = this.bleDevices.map((plejd) => plejd.serialNumber.toUpperCase());
+    const getPreferredRank = (plejd) => {
+      const index = preferredDevices.indexOf(plejd.serialNumber.toUpperCase());
+      return index === -1 ? preferredDevices.length : index;
+    };
+
+    preferredDevices
+      .filter((deviceId) => !discoveredDevices.includes(deviceId))
+      .forEach((deviceId) => logger.warn(`Preferred device ${deviceId} was not found during discovery`));
+
+    this.bleDevices.sort((a, b) => getPreferredRank(a) - getPreferredRank(b) || b.rssi - a.rssi);
+    this.candidateIndex = -1;
+
+    logger.verbose(
+      `Connection candidates: ${this.bleDevices
+        .map((plejd) => `${plejd.serialNumber} (${plejd.rssi} dBm)`)
+        .join(', ')}`,
+    );
+  }
+
+  /**
+   * Try the remaining candidates in order until one connects and authenticates
+   * @returns Connected device, or null when no candidates are left
+   */
+  async _connectToNextCandidate() {
+    /* eslint-disable no-await-in-loop */
+    while (this.candidateIndex + 1 < this.bleDevices.length) {
+      this.candidateIndex++;
+      const plejd = this.bleDevices[this.candidateIndex];
+      try {
+        logger.verbose(`Inspecting ${plejd.path}`);
+        if (plejd.instance) {
+          logger.info(`Connecting to ${plejd.path}`);
+          this._setState(PlejBLEHandler.STATES.CONNECTING, `Connecting to ${plejd.path}`);
+          await plejd.instance.Connect();
+
+          logger.verbose('Connected. Waiting for timeout before reading characteristics...');
+          await delay(this.config.connectionTimeout * 1000);
+
+          const connectedPlejdDevice = await this._onDeviceConnected(plejd);
+          if (connectedPlejdDevice) {
+            return connectedPlejdDevice;
+          }
+        }
+      } catch (err) {
+        logger.warn('Unable to connect. ', err);
+      }
+    }
+    /* eslint-enable no-await-in-loop */
+
+    return null;
+  }
+
+  _hasFailoverCandidate() {
+    return (
+      this.state === PlejBLEHandler.STATES.CONNECTED
+      && this.candidateIndex + 1 < this.bleDevices.length
+    );
+  }
+
+  /**
+   * Connect to the next candidate from the last discovery without scanning again
+   * @param {string} [reason]
+   */
+  async _failoverToNextCandidate(reason) {
+    const failedDevice = this.bleDevices[this.candidateIndex];
+    logger.info(`Failing over from ${failedDevice.path} to next candidate (${reason})`);
+
+    this.cleanup();
+    this.emit(PlejBLEHandler.EVENTS.reconnecting);
+    this._addWriteListeners();
+    // cleanup() removed the bus listeners, an unhandled 'error' event would crash the addon
+    this._initBus();
+    this.consecutiveWriteFails = 0;
+    this._resetConnection();
+
+    try {
+      await failedDevice.instance.Disconnect();
+    } catch (err) {
+      logger.debug(`Failed disconnecting ${failedDevice.path}, probably already disconnected`);
+    }
+
+    const connectedPlejdDevice = await this._connectToNextCandidate();
+    if (!connectedPlejdDevice) {
+      throw new Error('No candidates left to fail over to');
     }
+
+    this._startCommunication();
+  }
+
+  _startCommunication() {
+    logger.info(`BLE Connected to ${this.connectedDevice.name}`);
+    this._setState(PlejBLEHandler.STATES.CONNECTED, 'Connected and authenticated');
+
+    // Connected and authenticated, request current time and start ping
+    if (this.config.updatePlejdClock) {
+      this._requestCurrentPlejdTime();
+    } else {
+      logger.info('Plejd clock updates disabled in configuration.');
+    }
+    this._startPing();
+
+    // After we've authenticated, we need to hook up the event listener
+    // for changes to lastData.
+    this.characteristics.lastDataProperties.on('PropertiesChanged', (
+      iface,
+      properties,
+      // invalidated (third param),
+    ) => this._onLastDataUpdated(iface, properties));
+    this.characteristics.lastData.StartNotify();
+    this.consecutiveReconnectAttempts = 0;
+    this.emit(PlejBLEHandler.EVENTS.connected);
+
+    clearTimeout(this.emergencyReconnectTimeout);
+    this.emergencyReconnectTimeout = null;
   }
 
   async _getInterface() {
@@ -326,36 +645,95 @@ class PlejBLEHandler extends EventEmitter {
 
     logger.verbose(`Managed paths${JSON.stringify(managedPaths, null, 2)}`);
 
+    const adapterPaths = managedPaths.filter(
+      (path) => Object.keys(managedObjects[path]).indexOf(BLUEZ_ADAPTER_ID) > -1,
+    );
+    const selectedAdapterPaths = this._selectAdapterPaths(adapterPaths, managedObjects);
+
     // eslint-disable-next-line no-restricted-syntax
-    for (const path of managedPaths) {
-      const pathInterfaces = Object.keys(managedObjects[path]);
-      if (pathInterfaces.indexOf(BLUEZ_ADAPTER_ID) > -1) {
-        logger.debug(`Found BLE interface '${BLUEZ_ADAPTER_ID}' at ${path}`);
-        try {
-          // eslint-disable-next-line no-await-in-loop
-          const adapterObject = await this.bus.getProxyObject(BLUEZ_SERVICE_NAME, path);
-          // eslint-disable-next-line no-await-in-loop
-          this.adapterProperties = await adapterObject.getInterface(DBUS_PROP_INTERFACE);
-          // eslint-disable-next-line no-await-in-loop
-          await this._powerOnAdapter();
-          this.adapter = adapterObject.getInterface(BLUEZ_ADAPTER_ID);
+    for (const path of selectedAdapterPaths) {
+      logger.debug(`Found BLE interface '${BLUEZ_ADAPTER_ID}' at ${path}`);
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const adapterObject = await this.bus.getProxyObject(BLUEZ_SERVICE_NAME, path);
+        // eslint-disable-next-line no-await-in-loop
+        this.adapterProperties = await adapterObject.getInterface(DBUS_PROP_INTERFACE);
+        // eslint-disable-next-line no-await-in-loop
+        await this._powerOnAdapter();
+        this.adapter = adapterObject.getInterface(BLUEZ_ADAPTER_ID);
+        this.adapterPath = path;
+
+        if (this.config.cleanBluetoothDevices) {
           // eslint-disable-next-line no-await-in-loop
           await this._cleanExistingConnections(managedObjects);
+        } else {
+          logger.verbose('cleanBluetoothDevices is turned off, leaving existing devices as is.');
+        }
 
-          logger.verbose(`Got adapter ${this.adapter.path}`);
+        logger.verbose(`Got adapter ${this.adapterPath}`);
 
-          return this.adapter;
-        } catch (err) {
-          logger.error(`Failed to get interface '${BLUEZ_ADAPTER_ID}'. `, err);
-        }
+        return this.adapter;
+      } catch (err) {
+        logger.error(`Failed to get interface '${BLUEZ_ADAPTER_ID}'. `, err);
       }
     }
 
     this.adapter = null;
+    this.adapterPath = null;
+    if (this.config.bluetoothAdapter) {
+      logger.error(`Unable to use the configured bluetooth adapter '${this.config.bluetoothAdapter}'.`);
+      throw new Error(
+        `Unable to use the configured bluetooth adapter '${this.config.bluetoothAdapter}'.`,
+      );
+    }
     logger.error('Unable to find a bluetooth adapter that is compatible.');
     throw new Error('Unable to find a bluetooth adapter that is compatible.');
   }
 
+  /**
+   * Adapters to try, in order. All adapters unless one is chosen using the
+   * bluetoothAdapter setting, given as hci name (hci1), adapter index (1), object path
+   * (/org/bluez/hci1) or address (00:1A:7D:DA:71:13).
+   * @param {string[]} adapterPaths
+   * @param {any} managedObjects
+   */
+  _selectAdapterPaths(adapterPaths, managedObjects) {
+    const wanted = (this.config.bluetoothAdapter || '').trim();
+    if (!wanted) {
+      return adapterPaths;
+    }
+
+    const wantedLower = wanted.toLowerCase();
+    // A bare index is the number of the hci name, as in hciconfig and bluetoothctl
+    const wantedName = /^\d+$/.test(wanted) ? `hci${Number(wanted)}` : wantedLower;
+    const matchingPath = adapterPaths.find((path) => {
+      const address = managedObjects[path][BLUEZ_ADAPTER_ID].Address;
+      return (
+        path === wanted
+        || path.split('/').pop() === wantedName
+        || (address && address.value.toLowerCase() === wantedLower)
+      );
+    });
+
+    if (!matchingPath) {
+      const available = adapterPaths
+        .map((path) => {
+          const address = managedObjects[path][BLUEZ_ADAPTER_ID].Address;
+          return `${path.split('/').pop()} (${address ? address.value : 'unknown address'})`;
+        })
+        .join(', ');
+      logger.error(
+        `Configured bluetooth adapter '${wanted}' not found. Available adapters: ${
+          available || 'none'
+        }`,
+      );
+      throw new Error(`Configured bluetooth adapter '${wanted}' not found`);
+    }
+
+    logger.info(`Using configured bluetooth adapter ${matchingPath} ('${wanted}')`);
+    return [matchingPath];
+  }
+
   async _powerCycleAdapter() {
     logger.verbose('Power cycling BLE adapter');
     await this._powerOffAdapter();
@@ -387,7 +765,10 @@ class PlejBLEHandler extends EventEmitter {
       try {
         const interfaces = Object.keys(managedObjects[path]);
 
-        if (interfaces.indexOf(BLUEZ_DEVICE_ID) > -1) {
+        if (
+          interfaces.indexOf(BLUEZ_DEVICE_ID) > -1
+          && managedObjects[path][BLUEZ_DEVICE_ID].Adapter.value === this.adapterPath
+        ) {
           const proxyObject = await this.bus.getProxyObject(BLUEZ_SERVICE_NAME, path);
           const device = await proxyObject.getInterface(BLUEZ_DEVICE_ID);
 
@@ -421,6 +802,11 @@ class PlejBLEHandler extends EventEmitter {
       Transport: new dbus.Variant('s', 'le'),
     });
 
+    if (!this.config.cleanBluetoothDevices) {
+      // Devices BlueZ already knows about will not trigger InterfacesAdded
+      await this._inspectKnownPlejdDevices();
+    }
+
     try {
       logger.verbose('Starting BLE discovery... This can take up to 180 seconds.');
       this._scheduleInternalInit();
@@ -439,6 +825,27 @@ class PlejBLEHandler extends EventEmitter {
     }
   }
 
+  async _inspectKnownPlejdDevices() {
+    const managedObjects = await this.objectManager.GetManagedObjects();
+    const knownPlejdPaths = Object.keys(managedObjects).filter((path) => {
+      const device = managedObjects[path][BLUEZ_DEVICE_ID];
+      return (
+        device
+        && device.Adapter.value === this.adapterPath
+        && device.UUIDs
+        && device.UUIDs.value.indexOf(PLEJD_SERVICE) > -1
+      );
+    });
+
+    logger.verbose(`Found ${knownPlejdPaths.length} Plejd devices already known by BlueZ`);
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const path of knownPlejdPaths) {
+      // eslint-disable-next-line no-await-in-loop
+      await this._initDiscoveredPlejdDevice(path);
+    }
+  }
+
   _scheduleInternalInit() {
     clearTimeout(this.discoveryTimeout);
     this.discoveryTimeout = setTimeout(
@@ -452,9 +859,10 @@ class PlejBLEHandler extends EventEmitter {
     const interfaceKeys = Object.keys(interfaces);
 
     if (interfaceKeys.indexOf(BLUEZ_DEVICE_ID) > -1) {
-      if (interfaces[BLUEZ_DEVICE_ID].UUIDs.value.indexOf(PLEJD_SERVICE) > -1) {
+      if (interfaces[BLUEZ_DEVICE_ID].Adapter.value !== this.adapterPath) {
+        logger.silly(`Ignoring ${path}, discovered by another adapter`);
+      } else if (interfaces[BLUEZ_DEVICE_ID].UUIDs.value.indexOf(PLEJD_SERVICE) > -1) {
         logger.debug(`Found Plejd service on ${path}`);
-        this.objectManager.removeAllListeners('InterfacesAdded');
         await this._initDiscoveredPlejdDevice(path);
       } else {
         logger.error('Uh oh, no Plejd device!');
@@ -466,13 +874,14 @@ class PlejBLEHandler extends EventEmitter {
 
   async _authenticate() {
     logger.info('authenticate()');
+    this._setState(PlejBLEHandler.STATES.AUTHENTICATING, 'Authenticating using site crypto key');
 
     try {
       logger.debug('Sending challenge to device');
       await this.characteristics.auth.WriteValue([0], {});
       logger.debug('Reading response from device');
       const challenge = await this.characteristics.auth.ReadValue({});
-      const response = this._createChallengeResponse(this.cryptoKey, Buffer.from(challenge));
+      const response = createChallengeResponse(this.cryptoKey, Buffer.from(challenge));
       logger.debug('Responding to authenticate');
       await this.characteristics.auth.WriteValue([...response], {});
     } catch (err) {
@@ -481,14 +890,43 @@ class PlejBLEHandler extends EventEmitter {
     }
   }
 
-  async startReconnectPeriodicallyLoop() {
+  /** @param {string} [reason] Why the connection needs to be (re-)established */
+  async startReconnectPeriodicallyLoop(reason) {
+    let loopReason = reason;
+    if (!this.reconnectInProgress && this._hasFailoverCandidate()) {
+      this.reconnectInProgress = true;
+
+      // Emergency timer if failover silently hangs, e.g. in a D-Bus call that never returns
+      let failoverTimedOut = false;
+      clearTimeout(this.emergencyReconnectTimeout);
+      this.emergencyReconnectTimeout = setTimeout(() => {
+        failoverTimedOut = true;
+        this._startReconnectPeriodicallyLoopInternal('Failover timed out');
+      }, this.backoffPolicy.getEmergencyTimeout(0));
+
+      try {
+        await this._failoverToNextCandidate(reason);
+        this.reconnectInProgress = false;
+        return;
+      } catch (err) {
+        logger.warn('Failover failed, will scan for devices again.', err);
+        loopReason = err.message;
+      }
+      if (failoverTimedOut) {
+        logger.debug('Reconnect loop already started by the emergency timer');
+        return;
+      }
+      this.reconnectInProgress = false;
+    }
+
     logger.info('Starting reconnect loop...');
     clearTimeout(this.emergencyReconnectTimeout);
     this.emergencyReconnectTimeout = null;
-    await this._startReconnectPeriodicallyLoopInternal();
+    await this._startReconnectPeriodicallyLoopInternal(loopReason);
   }
 
-  async _startReconnectPeriodicallyLoopInternal() {
+  /** @param {string} [reason] */
+  async _startReconnectPeriodicallyLoopInternal(reason) {
     logger.verbose('Starting internal reconnect loop...');
 
     if (this.reconnectInProgress && !this.emergencyReconnectTimeout) {
@@ -503,46 +941,63 @@ class PlejBLEHandler extends EventEmitter {
 
     this.reconnectInProgress = true;
 
+    let lastReason = reason;
     /* eslint-disable no-await-in-loop */
     // eslint-disable-next-line no-constant-condition
     while (true) {
       try {
-        logger.verbose('Reconnect: Clean up, emit reconnect event, wait 5s and the re-init...');
+        logger.verbose('Reconnect: Clean up, emit reconnect event, wait and then re-init...');
         this.cleanup();
 
         this.consecutiveReconnectAttempts++;
+        const attempt = this.consecutiveReconnectAttempts;
+        this._setState(
+          PlejBLEHandler.STATES.BACKING_OFF,
+          `Reconnect attempt ${attempt}${lastReason ? ` (${lastReason})` : ''}`,
+        );
 
-        if (this.consecutiveReconnectAttempts % 100 === 0) {
-          logger.error('Failed reconnecting 100 times. Creating a new dbus instance...');
-          this.bus = dbus.systemBus();
+        if (this.backoffPolicy.shouldResetBus(attempt)) {
+          logger.error(`Failed reconnecting ${attempt} times. Creating a new dbus instance...`);
+          this._resetBus();
         }
 
-        if (this.consecutiveReconnectAttempts % 10 === 0) {
-          logger.warn(
-            `Tried reconnecting ${this.consecutiveReconnectAttempts} times. Will power cycle the BLE adapter now...`,
+        if (this.backoffPolicy.shouldPowerCycle(attempt)) {
+          logger.warn(`Tried reconnecting ${attempt} times. Will power cycle the BLE adapter now...`);
+          this._setState(
+            PlejBLEHandler.STATES.POWER_CYCLING,
+            `Power cycling adapter after ${attempt} reconnect attempts`,
           );
           await this._powerCycleAdapter();
+          this._setState(PlejBLEHandler.STATES.BACKING_OFF, 'Waiting after power cycle');
         } else {
           logger.verbose(
-            `Reconnect attempt ${this.consecutiveReconnectAttempts} in a row. Will power cycle every 10th time.`,
+            `Reconnect attempt ${attempt} in a row. ${
+              this.backoffPolicy.powerCycleAllowed
+                ? `Will power cycle every ${this.backoffPolicy.powerCycleAttempts}th time.`
+                : 'Automatic power cycling is disabled.'
+            }`,
           );
         }
 
         this.emit(PlejBLEHandler.EVENTS.reconnecting);
 
-        // Emergency 2 minute timer if reconnect silently fails somewhere
+        const attemptDelay = this.backoffPolicy.getDelay(attempt);
+
+        // Emergency timer if reconnect silently fails somewhere
         clearTimeout(this.emergencyReconnectTimeout);
         this.emergencyReconnectTimeout = setTimeout(
           () => this._startReconnectPeriodicallyLoopInternal(),
-          120 * 1000,
+          this.backoffPolicy.getEmergencyTimeout(attemptDelay),
         );
 
-        await delay(5000);
+        logger.verbose(`Waiting ${attemptDelay}ms before reconnect attempt ${attempt}`);
+        await delay(attemptDelay);
         logger.info('Reconnecting BLE...');
         await this.init();
         break;
       } catch (err) {
         logger.warn('Failed reconnecting.', err);
+        lastReason = err.message;
       }
     }
     /* eslint-enable no-await-in-loop */
@@ -560,7 +1015,7 @@ class PlejBLEHandler extends EventEmitter {
       logger.verbose(
         `Sending ${payload.length} byte(s) of data to Plejd. ${payload.toString('hex')}`,
       );
-      const encryptedData = this._encryptDecrypt(this.cryptoKey, this.plejdService.addr, payload);
+      const encryptedData = encryptDecrypt(this.cryptoKey, this.plejdService.addr, payload);
       await this.characteristics.data.WriteValue([...encryptedData], {});
       await this._onWriteSuccess();
     } catch (err) {
@@ -610,7 +1065,7 @@ class PlejBLEHandler extends EventEmitter {
       logger.warn(
         `Write error indicates BLE is disconnected. Retry count ${this.consecutiveWriteFails}. Reconnecting...`,
       );
-      this.startReconnectPeriodicallyLoop();
+      this.startReconnectPeriodicallyLoop(`Write failed: ${error.message}`);
     }
   }
 
@@ -679,7 +1134,7 @@ class PlejBLEHandler extends EventEmitter {
     const dev = (await properties.Get(GATT_SERVICE_ID, 'Device')).value;
     const regex = /dev_([0-9A-F_]+)$/;
     const dirtyAddr = regex.exec(dev);
-    const addr = this._reverseBuffer(
+    const addr = reverseBuffer(
       Buffer.from(
         String(dirtyAddr[1]).replace(/-/g, '').replace(/_/g, '').replace(/:/g, ''),
         'hex',
@@ -723,7 +1178,8 @@ class PlejBLEHandler extends EventEmitter {
     logger.debug(`Device ${device.path}, ${JSON.stringify(device.device)}`);
 
     const objects = await this.objectManager.GetManagedObjects();
-    const paths = Object.keys(objects);
+    // Only look at services of this device, other candidates may still be connected
+    const paths = Object.keys(objects).filter((path) => path.startsWith(`${device.path}/`));
     const characteristics = [];
 
     logger.verbose(`Iterating connected devices looking for ${GATT_CHRC_ID}`);
@@ -793,7 +1249,7 @@ class PlejBLEHandler extends EventEmitter {
     }
 
     const encryptedData = value.value;
-    const decoded = this._encryptDecrypt(this.cryptoKey, this.plejdService.addr, encryptedData);
+    const decoded = encryptDecrypt(this.cryptoKey, this.plejdService.addr, encryptedData);
 
     if (decoded.length < 5) {
       if (Logger.shouldLog('debug')) {
@@ -810,13 +1266,8 @@ class PlejBLEHandler extends EventEmitter {
 
     const state = decoded.length > 5 ? decoded.readUInt8(5) : 0;
 
-    const dim = decoded.length > 7 ? decoded.readUInt8(7) : 0;
-
-    if (Logger.shouldLog('silly')) {
-      // Full dim level is 2 bytes, we could potentially use this
-      const dimFull = decoded.length > 7 ? decoded.readUInt16LE(6) : 0;
-      logger.silly(`Dim: ${dim.toString(16)}, full precision: ${dimFull.toString(16)}`);
-    }
+    // Full 16 bit dim level, byte 7 alone is the 8 bit level
+    const dim = decoded.length > 7 ? decoded.readUInt16LE(6) : 0;
 
     const device = this.deviceRegistry.getOutputDeviceByBleOutputAddress(bleOutputAddress);
     const deviceName = device ? device.name : 'Unknown';
@@ -841,9 +1292,11 @@ class PlejBLEHandler extends EventEmitter {
 
       command = COMMANDS.DIM;
       data = { state, dim };
+      this._onOutputStateReported(bleOutputAddress, state, dim);
       this.emit(PlejBLEHandler.EVENTS.commandReceived, outputUniqueId, command, data);
     } else if (cmd === BLE_CMD_STATE_CHANGE) {
       logger.debug(`${deviceName} (${outputUniqueId}) got state update. S: ${state}`);
+      this._onOutputStateReported(bleOutputAddress, state);
       command = state ? COMMANDS.TURN_ON : COMMANDS.TURN_OFF;
       this.emit(PlejBLEHandler.EVENTS.commandReceived, outputUniqueId, command, data);
     } else if (cmd === BLE_CMD_SCENE_TRIG) {
@@ -910,6 +1363,7 @@ class PlejBLEHandler extends EventEmitter {
     } else if (cmd === BLE_CMD_REMOTE_CLICK) {
       const inputBleAddress = state;
       const inputButton = decoded.length > 7 ? decoded.readUInt8(6) : 0;
+      const released = decoded.length > 7 && decoded.readUInt8(7) === BLE_REMOTE_CLICK_RELEASE;
 
       const sourceDevice = this.deviceRegistry.getInputDeviceByBleInputAddress(
         inputBleAddress,
@@ -921,11 +1375,26 @@ class PlejBLEHandler extends EventEmitter {
         );
         return;
       }
+      if (sourceDevice.buttonType === BUTTON_TYPES.ROTATE_MESH) {
+        // Rotary inputs report the number of steps turned (negative counter-clockwise)
+        // in the action byte instead of press/release. Experimental, not documented by Plejd
+        const delta = decoded.length > 7 ? decoded.readInt8(7) : 0;
+        logger.verbose(
+          `A rotary input ${inputButton} at BLE address ${inputBleAddress} was turned ${delta} steps. Unique Id is ${sourceDevice.uniqueId}`,
+        );
+        command = COMMANDS.BUTTON_ROTATE;
+        data = { deviceId: sourceDevice.deviceId, deviceInput: sourceDevice.input, delta };
+        this.emit(PlejBLEHandler.EVENTS.commandReceived, outputUniqueId, command, data);
+        return;
+      }
+
       logger.verbose(
-        `A button (eg. WPH-01, WRT-01) ${inputButton} at BLE address ${inputBleAddress} was pressed. Unique Id is ${sourceDevice.uniqueId}`,
+        `A button (eg. WPH-01, WRT-01) ${inputButton} at BLE address ${inputBleAddress} was ${
+          released ? 'released' : 'pressed'
+        }. Unique Id is ${sourceDevice.uniqueId}`,
       );
       command = COMMANDS.BUTTON_CLICK;
-      data = { deviceId: sourceDevice.deviceId, deviceInput: sourceDevice.input };
+      data = { deviceId: sourceDevice.deviceId, deviceInput: sourceDevice.input, released };
       this.emit(PlejBLEHandler.EVENTS.commandReceived, outputUniqueId, command, data);
     } else {
       logger.verbose(
@@ -966,49 +1435,6 @@ class PlejBLEHandler extends EventEmitter {
     payloadBufferAddDataFunc(payload);
     return payload;
   }
-
-  // eslint-disable-next-line class-methods-use-this
-  _createChallengeResponse(key, challenge) {
-    const intermediate = crypto.createHash('sha256').update(xor(key, challenge)).digest();
-    const part1 = intermediate.subarray(0, 16);
-    const part2 = intermediate.subarray(16);
-
-    const resp = xor(part1, part2);
-
-    return resp;
-  }
-
-  // eslint-disable-next-line class-methods-use-this
-  _encryptDecrypt(key, addr, data) {
-    const buf = Buffer.concat([addr, addr, addr.subarray(0, 4)]);
-
-    const cipher = crypto.createCipheriv('aes-128-ecb', key, '');
-    cipher.setAutoPadding(false);
-
-    let ct = cipher.update(buf).toString('hex');
-    ct += cipher.final().toString('hex');
-    const ctBuf = Buffer.from(ct, 'hex');
-
-    let output = '';
-    for (let i = 0, { length } = data; i < length; i++) {
-      // eslint-disable-next-line no-bitwise
-      output += String.fromCharCode(data[i] ^ ctBuf[i % 16]);
-    }
-
-    return Buffer.from(output, 'ascii');
-  }
-
-  // eslint-disable-next-line class-methods-use-this
-  _reverseBuffer(src) {
-    const buffer = Buffer.allocUnsafe(src.length);
-
-    for (let i = 0, j = src.length - 1; i <= j; ++i, --j) {
-      buffer[i] = src[j];
-      buffer[j] = src[i];
-    }
-
-    return buffer;
-  }
 }
 
 module.exports = PlejBLEHandler;
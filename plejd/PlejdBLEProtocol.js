@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const xor = require('buffer-xor');
+
+// Plejd BLE protocol details shared by the BLE handler and the mesh emulator
+
+// UUIDs
+const BLE_UUID_SUFFIX = '6085-4726-be45-040c957391b5';
+const PLEJD_SERVICE = `31ba0001-${BLE_UUID_SUFFIX}`;
+const DATA_UUID = `31ba0004-${BLE_UUID_SUFFIX}`;
+const LAST_DATA_UUID = `31ba0005-${BLE_UUID_SUFFIX}`;
+const AUTH_UUID = `31ba0009-${BLE_UUID_SUFFIX}`;
+const PING_UUID = `31ba000a-${BLE_UUID_SUFFIX}`;
+
+const BLE_CMD_DIM_CHANGE = 0x00c8;
+const BLE_CMD_DIM2_CHANGE = 0x0098;
+const BLE_CMD_STATE_CHANGE = 0x0097;
+const BLE_CMD_SCENE_TRIG = 0x0021;
+const BLE_CMD_TIME_UPDATE = 0x001b;
+const BLE_CMD_REMOTE_CLICK = 0x0016;
+
+// Last byte of BLE_CMD_REMOTE_CLICK notifications. Experimental: not documented by Plejd,
+// inferred from notifications of WPH-01 buttons
+const BLE_REMOTE_CLICK_PRESS = 0x00;
+const BLE_REMOTE_CLICK_RELEASE = 0x01;
+
+const BLE_BROADCAST_DEVICE_ID = 0x01;
+const BLE_SCENE_DEVICE_ID = 0x02;
+const BLE_REQUEST_NO_RESPONSE = 0x0110;
+const BLE_REQUEST_RESPONSE = 0x0102;
+const BLE_REQUEST_READ_VALUE = 0x0103;
+
+/**
+ * Response to the challenge read from the AUTH characteristic
+ * @param {Buffer} key Site crypto key
+ * @param {Buffer} challenge
+ */
+const createChallengeResponse = (key, challenge) => {
+  const intermediate = crypto.createHash('sha256').update(xor(key, challenge)).digest();
+  const part1 = intermediate.subarray(0, 16);
+  const part2 = intermediate.subarray(16);
+
+  const resp = xor(part1, part2);
+
+  return resp;
+};
+
+/**
+ * Encrypts or decrypts (symmetric) DATA and LAST_DATA payloads
+ * @param {Buffer} key Site crypto key
+ * @param {Buffer} addr Reversed BLE address of the connected Plejd device
+ * @param {Buffer} data
+ */
+const encryptDecrypt = (key, addr, data) => {
+  const buf = Buffer.concat([addr, addr, addr.subarray(0, 4)]);
+
+  const cipher = crypto.createCipheriv('aes-128-ecb', key, '');
+  cipher.setAutoPadding(false);
+
+  let ct = cipher.update(buf).toString('hex');
+  ct += cipher.final().toString('hex');
+  const ctBuf = Buffer.from(ct, 'hex');
+
+  let output = '';
+  for (let i = 0, { length } = data; i < length; i++) {
+    // eslint-disable-next-line no-bitwise
+    output += String.fromCharCode(data[i] ^ ctBuf[i % 16]);
+  }
+
+  return Buffer.from(output, 'ascii');
+};
+
+/** @param {Buffer} src */
+const reverseBuffer = (src) => {
+  const buffer = Buffer.allocUnsafe(src.length);
+
+  for (let i = 0, j = src.length - 1; i <= j; ++i, --j) {
+    buffer[i] = src[j];
+    buffer[j] = src[i];
+  }
+
+  return buffer;
+};
+
+module.exports = {
+  PLEJD_SERVICE,
+  DATA_UUID,
+  LAST_DATA_UUID,
+  AUTH_UUID,
+  PING_UUID,
+  BLE_CMD_DIM_CHANGE,
+  BLE_CMD_DIM2_CHANGE,
+  BLE_CMD_STATE_CHANGE,
+  BLE_CMD_SCENE_TRIG,
+  BLE_CMD_TIME_UPDATE,
+  BLE_CMD_REMOTE_CLICK,
+  BLE_REMOTE_CLICK_PRESS,
+  BLE_REMOTE_CLICK_RELEASE,
+  BLE_BROADCAST_DEVICE_ID,
+  BLE_SCENE_DEVICE_ID,
+  BLE_REQUEST_NO_RESPONSE,
+  BLE_REQUEST_RESPONSE,
+  BLE_REQUEST_READ_VALUE,
+  createChallengeResponse,
+  encryptDecrypt,
+  reverseBuffer,
+};
@@ -1,123 +1,723 @@
 const { EventEmitter } = require('events');
+const ButtonEventDecoder = require('./ButtonEventDecoder');
 const Configuration = require('./Configuration');
 const constants = require('./constants');
+const FadeScheduler = require('./FadeScheduler');
+const LightEffects = require('./LightEffects');
 const Logger = require('./Logger');
+const MeshTransport = require('./MeshTransport');
 const PlejBLEHandler = require('./PlejdBLEHandler');
+const PlejdEmulatorHandler = require('./PlejdEmulatorHandler');
+const RoomAggregator = require('./RoomAggregator');
+const StateReconciler = require('./StateReconciler');
+const TransitionEasing = require('./TransitionEasing');
+const WriteQueue = require('./WriteQueue');
 
-const { COMMANDS } = constants;
+const {
+  BUTTON_EVENTS, BUTTON_TYPES, COMMANDS, MAX_BRIGHTNESS,
+} = constants;
+
+/** @typedef {import('./WriteQueue').CommandResult} CommandResult */
+/**
+ * @typedef {{
+ *  state: boolean;
+ *  brightness?: number;
+ *  brightness_step?: number;
+ *  brightness_move?: number | 'stop';
+ *  transition?: number;
+ *  easing?: string;
+ *  flash?: string;
+ *  effect?: string;
+ * }} OutputCommand
+ * Brightness, brightness_step and brightness_move (per second) use 16 bit Plejd brightness
+ */
 const logger = Logger.getLogger('device-comm');
 
 const MAX_TRANSITION_STEPS_PER_SECOND = 5; // Could be made a setting
-const MAX_RETRY_COUNT = 10; // Could be made a setting
+// A scene trigger reported by the mesh this soon after we triggered the scene is our own echo
+const SCENE_TRIGGER_ECHO_MS = 2000;
+// Brightness steps this soon after the previous step continue from its target, since the mesh
+// may not have reported the new brightness yet
+const STEP_TARGET_VALID_MS = 2000;
+// Dimming down stops at the lowest level instead of turning the light off
+const MIN_MOVE_BRIGHTNESS = Math.round(MAX_BRIGHTNESS / 255);
+// Times a command is reissued by the reissue reconcile policy before accepting the reported state
+const MAX_REISSUE_ATTEMPTS = 3;
+const SLOW_FADES_PATH = '/data/slowFades.json';
+const DIRECTION_BUTTON_EVENTS = {
+  [BUTTON_TYPES.DIRECTION_UP]: BUTTON_EVENTS.TURN_ON,
+  [BUTTON_TYPES.DIRECTION_DOWN]: BUTTON_EVENTS.TURN_OFF,
+};
 
 class PlejdDeviceCommunication extends EventEmitter {
   bleConnected;
+  /** @type {ButtonEventDecoder} */
+  buttonEventDecoder;
   bleOutputTransitionTimers = {};
-  plejdBleHandler;
+  /** @type {Object.<string, {from: number, rate: number, startTime: number}>} */
+  brightnessMoves = {};
+  /** @type {Object.<string, {brightness: number, time: number}>} Target of the latest step */
+  stepTargets = {};
+  /** @type {import('./MeshTransport')} */
+  meshTransport;
   config;
   /** @type {import('./DeviceRegistry')} */
   deviceRegistry;
+  /** @type {RoomAggregator} */
+  roomAggregator;
+  /** @type {FadeScheduler} Runs transitions longer than slowFadeThreshold */
+  fadeScheduler;
+  /** @type {StateReconciler} */
+  stateReconciler;
+  // eslint-disable-next-line max-len
+  /** @type {Object.<string, {timer: NodeJS.Timeout, restoreState: boolean, restoreBrightness: number}>} */
+  runningEffects = {};
+  /** @type {Object.<string, string>} Configured transition easing by lower case name or id */
+  deviceEasings;
+  /** @type {Object.<string, number[]>} Times of our scene triggers awaiting their mesh echo */
+  expectedSceneEchoes = {};
   // eslint-disable-next-line max-len
-  /** @type {{uniqueOutputId: string, command: string, data: any, shouldRetry: boolean, retryCount?: number}[]} */
-  writeQueue = [];
+  /** @type {Object.<string, (result: CommandResult | Promise<CommandResult>) => void>} Resolves the result of the latest command, by output */
+  pendingResults = {};
+  /** @type {WriteQueue} */
+  writeQueue;
   writeQueueRef = null;
 
   static EVENTS = {
+    buttonPressed: 'buttonPressed',
+    commandExpired: 'commandExpired',
+    connectionStateChanged: 'connectionStateChanged',
+    fadeProgress: 'fadeProgress',
     sceneTriggered: 'sceneTriggered',
     stateChanged: 'stateChanged',
   };
 
-  constructor(deviceRegistry) {
+  /**
+   * Mesh transports selectable using the `transport` configuration option.
+   * @type {Object.<string, new (deviceRegistry: import('./DeviceRegistry')) => MeshTransport>}
+   */
+  static TRANSPORTS = {
+    bluez: PlejBLEHandler,
+    emulator: PlejdEmulatorHandler,
+  };
+
+  /**
+   * Make an additional mesh transport selectable through configuration
+   * @param {string} name
+   * @param {new (deviceRegistry: import('./DeviceRegistry')) => MeshTransport} TransportClass
+   */
+  static registerTransport(name, TransportClass) {
+    PlejdDeviceCommunication.TRANSPORTS[name] = TransportClass;
+  }
+
+  /**
+   * @param {import('./DeviceRegistry')} deviceRegistry
+   * @param {MeshTransport} [meshTransport] Transport to use instead of the configured one
+   */
+  constructor(deviceRegistry, meshTransport) {
     super();
     logger.info('Starting Plejd communication handler.');
 
-    this.plejdBleHandler = new PlejBLEHandler(deviceRegistry);
     this.config = Configuration.getOptions();
     this.deviceRegistry = deviceRegistry;
+    this.roomAggregator = new RoomAggregator(deviceRegistry);
+    this.buttonEventDecoder = new ButtonEventDecoder({
+      doublePressTime: this.config.buttonDoublePressTime,
+      longPressTime: this.config.buttonLongPressTime,
+    });
+    this.deviceEasings = TransitionEasing.parseDeviceEasings(this.config.deviceTransitionEasings);
+    this.fadeScheduler = new FadeScheduler(SLOW_FADES_PATH);
+    this.stateReconciler = new StateReconciler(this.config.reconcileGracePeriod * 1000);
+    this.writeQueue = new WriteQueue({
+      [WriteQueue.PRIORITIES.USER]: this.config.writeRetriesUser,
+      [WriteQueue.PRIORITIES.SCENE]: this.config.writeRetriesScene,
+      [WriteQueue.PRIORITIES.TRANSITION]: this.config.writeRetriesTransition,
+      [WriteQueue.PRIORITIES.BACKGROUND]: this.config.writeRetriesBackground,
+    });
+    this.meshTransport = meshTransport || this._createMeshTransport();
   }
 
   cleanup() {
+    clearTimeout(this.writeQueueRef);
     Object.values(this.bleOutputTransitionTimers).forEach((t) => clearTimeout(t));
-    this.plejdBleHandler.cleanup();
-    this.plejdBleHandler.removeAllListeners(PlejBLEHandler.EVENTS.commandReceived);
-    this.plejdBleHandler.removeAllListeners(PlejBLEHandler.EVENTS.connected);
-    this.plejdBleHandler.removeAllListeners(PlejBLEHandler.EVENTS.reconnecting);
+    this.brightnessMoves = {};
+    Object.values(this.runningEffects).forEach((effect) => clearTimeout(effect.timer));
+    this.runningEffects = {};
+    this.buttonEventDecoder.cleanup();
+    this.buttonEventDecoder.removeAllListeners(ButtonEventDecoder.EVENTS.buttonEvent);
+    this.fadeScheduler.cleanup();
+    this.fadeScheduler.removeAllListeners(FadeScheduler.EVENTS.step);
+    this.fadeScheduler.removeAllListeners(FadeScheduler.EVENTS.progress);
+    this.stateReconciler.cleanup();
+    this.stateReconciler.removeAllListeners(StateReconciler.EVENTS.diverged);
+    this.meshTransport.cleanup();
+    this.meshTransport.removeAllListeners(MeshTransport.EVENTS.commandReceived);
+    this.meshTransport.removeAllListeners(MeshTransport.EVENTS.connected);
+    this.meshTransport.removeAllListeners(MeshTransport.EVENTS.reconnecting);
+    this.meshTransport.removeAllListeners(MeshTransport.EVENTS.stateChanged);
+  }
+
+  /**
+   * Stop everything pending for outputs and scenes removed from the site
+   * @param {string[]} uniqueIds
+   */
+  removeDevices(uniqueIds) {
+    const error = 'Device removed from site';
+    uniqueIds.forEach((uniqueId) => {
+      this._settleResult(uniqueId, {
+        uniqueOutputId: uniqueId,
+        command: null,
+        status: WriteQueue.RESULTS.FAILED,
+        error,
+      });
+      this.fadeScheduler.cancel(uniqueId, 'Removed from site');
+      this._cancelEffect(uniqueId);
+      this._clearDeviceTransitionTimer(uniqueId);
+      delete this.stepTargets[uniqueId];
+      this.stateReconciler.clear(uniqueId);
+      if (this.writeQueue.remove(uniqueId, error)) {
+        logger.info(`Dropped queued command for ${uniqueId}, removed from site`);
+      }
+    });
   }
 
   async init() {
     try {
       this.cleanup();
       this.bleConnected = false;
+      this.buttonEventDecoder.on(
+        ButtonEventDecoder.EVENTS.buttonEvent,
+        (deviceId, deviceInput, buttonEvent) => {
+          this._onButtonEvent(deviceId, deviceInput, buttonEvent);
+        },
+      );
+      this.fadeScheduler.on(FadeScheduler.EVENTS.step, (uniqueOutputId, brightness, isFinal) => {
+        const deviceName = this.deviceRegistry.getOutputDeviceName(uniqueOutputId);
+        const { USER, TRANSITION } = WriteQueue.PRIORITIES;
+        const result = this._setBrightness(
+          uniqueOutputId,
+          brightness,
+          isFinal ? USER : TRANSITION,
+          deviceName,
+        );
+        if (isFinal) {
+          this._settleResult(uniqueOutputId, result);
+        }
+      });
+      this.fadeScheduler.on(FadeScheduler.EVENTS.progress, (uniqueOutputId, progress) => {
+        if (!progress) {
+          // Fade ended. If it was cancelled by a change outside the fade, its result is pending
+          this._settleResult(uniqueOutputId, this._getSupersededResult(uniqueOutputId));
+        }
+        this.emit(PlejdDeviceCommunication.EVENTS.fadeProgress, uniqueOutputId, progress);
+      });
+      await this.fadeScheduler.restore();
+      this.stateReconciler.on(StateReconciler.EVENTS.diverged, (desired) => {
+        this._onStateDiverged(desired);
+      });
+
       // eslint-disable-next-line max-len
-      this.plejdBleHandler.on(
-        PlejBLEHandler.EVENTS.commandReceived,
+      this.meshTransport.on(
+        MeshTransport.EVENTS.commandReceived,
         (uniqueOutputId, command, data) => this._bleCommandReceived(uniqueOutputId, command, data),
       );
 
-      this.plejdBleHandler.on(PlejBLEHandler.EVENTS.connected, () => {
+      this.meshTransport.on(MeshTransport.EVENTS.connected, () => {
         logger.info('Bluetooth connected. Plejd BLE up and running!');
         logger.verbose(`Starting writeQueue loop. Write queue length: ${this.writeQueue.length}`);
         this.bleConnected = true;
+        // Commands queued during a long reconnect expire before anything is written
+        this._expireWriteQueue();
+        this._requestOutputStates();
         this._startWriteQueue();
+        this.fadeScheduler.resume();
       });
-      this.plejdBleHandler.on(PlejBLEHandler.EVENTS.reconnecting, () => {
+      this.meshTransport.on(MeshTransport.EVENTS.reconnecting, () => {
         logger.info('Bluetooth reconnecting...');
         logger.verbose(
           `Stopping writeQueue loop until connection is established. Write queue length: ${this.writeQueue.length}`,
         );
         this.bleConnected = false;
         clearTimeout(this.writeQueueRef);
+        this.fadeScheduler.pause();
+      });
+      this.meshTransport.on(MeshTransport.EVENTS.stateChanged, (state, previousState, reason) => {
+        this.emit(
+          PlejdDeviceCommunication.EVENTS.connectionStateChanged,
+          state,
+          previousState,
+          reason,
+        );
       });
 
-      await this.plejdBleHandler.init();
+      await this.meshTransport.init();
     } catch (err) {
       logger.error('Failed init() of BLE. Starting reconnect loop.');
-      await this.plejdBleHandler.startReconnectPeriodicallyLoop();
+      await this.meshTransport.startReconnectPeriodicallyLoop(err.message);
     }
   }
 
+  /**
+   * Turn an output on or off
+   * @param {string} uniqueOutputId
+   * @param {OutputCommand} command
+   * @returns {Promise<CommandResult>} Resolved when the final command has been written,
+   * or when it is superseded, fails or expires
+   */
+  setOutput(uniqueOutputId, command) {
+    if (command.brightness_move !== undefined) {
+      return this.moveBrightness(uniqueOutputId, command.brightness_move);
+    }
+    if (command.brightness_step !== undefined) {
+      return this.stepBrightness(uniqueOutputId, command.brightness_step, command);
+    }
+    return command.state
+      ? this.turnOn(uniqueOutputId, command)
+      : this.turnOff(uniqueOutputId, command);
+  }
+
+  /**
+   * @param {string} uniqueOutputId
+   * @param {Partial<OutputCommand>} command
+   * @returns {Promise<CommandResult>}
+   */
   turnOn(uniqueOutputId, command) {
+    if (command.flash || command.effect) {
+      return this._startEffect(uniqueOutputId, command);
+    }
     const deviceName = this.deviceRegistry.getOutputDeviceName(uniqueOutputId);
     logger.info(
       `Plejd got turn on command for ${deviceName} (${uniqueOutputId}), brightness ${
         command.brightness
       }${command.transition ? `, transition: ${command.transition}` : ''}`,
     );
-    this._transitionTo(uniqueOutputId, command.brightness, command.transition, deviceName);
+    const result = this._transitionTo(
+      uniqueOutputId,
+      command.brightness,
+      command.transition,
+      deviceName,
+      command.easing,
+    );
+    this._applyRoomCommand(uniqueOutputId, true, command.brightness);
+    return result;
   }
 
+  /**
+   * @param {string} uniqueOutputId
+   * @param {Partial<OutputCommand>} command
+   * @returns {Promise<CommandResult>}
+   */
   turnOff(uniqueOutputId, command) {
+    if (command.flash) {
+      return this._startEffect(uniqueOutputId, command);
+    }
     const deviceName = this.deviceRegistry.getOutputDeviceName(uniqueOutputId);
     logger.info(
       `Plejd got turn off command for ${deviceName} (${uniqueOutputId})${
         command.transition ? `, transition: ${command.transition}` : ''
       }`,
     );
-    this._transitionTo(uniqueOutputId, 0, command.transition, deviceName);
+    const result = this._transitionTo(
+      uniqueOutputId,
+      0,
+      command.transition,
+      deviceName,
+      command.easing,
+    );
+    this._applyRoomCommand(uniqueOutputId, false);
+    return result;
+  }
+
+  /**
+   * Change brightness relative to the current brightness. Stepping down to 0 turns the output off,
+   * stepping up from off turns it on.
+   * @param {string} uniqueOutputId
+   * @param {number} step Signed 16 bit brightness change
+   * @param {Partial<OutputCommand>} [command] Transition and easing to use
+   * @returns {Promise<CommandResult>}
+   */
+  stepBrightness(uniqueOutputId, step, command = {}) {
+    const device = this.deviceRegistry.getOutputDevice(uniqueOutputId);
+    if (!device) {
+      return this._getUnknownOutputResult(uniqueOutputId);
+    }
+    const stepTarget = this.stepTargets[uniqueOutputId];
+    const current = stepTarget && Date.now() - stepTarget.time < STEP_TARGET_VALID_MS
+      ? stepTarget.brightness
+      : this._getCurrentBrightness(device);
+    const target = Math.max(0, Math.min(MAX_BRIGHTNESS, current + step));
+    logger.info(
+      `Plejd got brightness step ${step} for ${device.name} (${uniqueOutputId}), ${current} => ${target}`,
+    );
+
+    const { transition, easing } = command;
+    const result = target > 0
+      ? this.turnOn(uniqueOutputId, {
+        brightness: device.dimmable ? target : undefined,
+        transition,
+        easing,
+      })
+      : this.turnOff(uniqueOutputId, { transition, easing });
+    this.stepTargets[uniqueOutputId] = { brightness: target, time: Date.now() };
+    return result;
+  }
+
+  /**
+   * Start dimming up (positive rate) or down (negative rate) until stopped, or until the light
+   * reaches full or the lowest brightness. A rate of 0 or 'stop' stops at the current brightness.
+   * @param {string} uniqueOutputId
+   * @param {number | 'stop'} rate 16 bit brightness change per second
+   * @returns {Promise<CommandResult>} Resolved when the move has stopped, null if no move
+   * was running when asked to stop
+   */
+  moveBrightness(uniqueOutputId, rate) {
+    if (rate === 'stop' || !rate) {
+      return this._stopBrightnessMove(uniqueOutputId);
+    }
+
+    const device = this.deviceRegistry.getOutputDevice(uniqueOutputId);
+    if (!device) {
+      return this._getUnknownOutputResult(uniqueOutputId);
+    }
+    if (!device.dimmable) {
+      return rate > 0 ? this.turnOn(uniqueOutputId, {}) : this.turnOff(uniqueOutputId, {});
+    }
+    logger.info(
+      `Plejd got start dimming ${rate > 0 ? 'up' : 'down'} command for ${
+        device.name
+      } (${uniqueOutputId}), ${rate} per second`,
+    );
+
+    this._clearDeviceTransitionTimer(uniqueOutputId);
+    this._cancelEffect(uniqueOutputId);
+    this.fadeScheduler.cancel(uniqueOutputId, 'Dimming started');
+    delete this.stepTargets[uniqueOutputId];
+    const result = this._awaitResult(uniqueOutputId);
+
+    const move = {
+      from: this._getCurrentBrightness(device),
+      rate,
+      startTime: Date.now(),
+    };
+    this.brightnessMoves[uniqueOutputId] = move;
+    this.bleOutputTransitionTimers[uniqueOutputId] = setInterval(() => {
+      const brightness = this._getMoveBrightness(move);
+      if (
+        (rate > 0 && brightness >= MAX_BRIGHTNESS)
+        || (rate < 0 && brightness <= MIN_MOVE_BRIGHTNESS)
+      ) {
+        this._stopBrightnessMove(uniqueOutputId);
+        return;
+      }
+      const { TRANSITION } = WriteQueue.PRIORITIES;
+      this._setBrightness(uniqueOutputId, brightness, TRANSITION, device.name);
+    }, 1000 / MAX_TRANSITION_STEPS_PER_SECOND);
+    return result;
+  }
+
+  /**
+   * Stop a running move, writing the brightness reached
+   * @param {string} uniqueOutputId
+   * @returns {Promise<CommandResult>}
+   */
+  _stopBrightnessMove(uniqueOutputId) {
+    const move = this.brightnessMoves[uniqueOutputId];
+    if (!move) {
+      logger.verbose(`Got stop dimming command for ${uniqueOutputId}, but it is not dimming`);
+      return Promise.resolve(null);
+    }
+    const brightness = this._getMoveBrightness(move);
+    const deviceName = this.deviceRegistry.getOutputDeviceName(uniqueOutputId);
+    logger.info(`Stopped dimming ${deviceName} (${uniqueOutputId}) at ${brightness}`);
+    this._clearDeviceTransitionTimer(uniqueOutputId);
+    const result = this._setBrightness(
+      uniqueOutputId,
+      brightness,
+      WriteQueue.PRIORITIES.USER,
+      deviceName,
+    );
+    this._settleResult(uniqueOutputId, result);
+    return result;
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  _getMoveBrightness(move) {
+    const brightness = Math.round(move.from + (move.rate * (Date.now() - move.startTime)) / 1000);
+    return Math.max(MIN_MOVE_BRIGHTNESS, Math.min(MAX_BRIGHTNESS, brightness));
+  }
+
+  /**
+   * Current brightness as tracked from the mesh, 0 when off
+   * @param {import('./types/DeviceRegistry').OutputDevice} device
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _getCurrentBrightness(device) {
+    if (!device.state) {
+      return 0;
+    }
+    return device.dimmable ? device.dim || 0 : MAX_BRIGHTNESS;
+  }
+
+  /**
+   * Track the result of a new command for an output, settling the result of the previous one
+   * as superseded. The result is settled later using _settleResult.
+   * @param {string} uniqueOutputId
+   * @returns {Promise<CommandResult>}
+   */
+  _awaitResult(uniqueOutputId) {
+    this._settleResult(uniqueOutputId, this._getSupersededResult(uniqueOutputId));
+    return new Promise((resolve) => {
+      this.pendingResults[uniqueOutputId] = resolve;
+    });
+  }
+
+  /**
+   * @param {string} uniqueOutputId
+   * @param {CommandResult | Promise<CommandResult>} result
+   */
+  _settleResult(uniqueOutputId, result) {
+    const resolve = this.pendingResults[uniqueOutputId];
+    if (resolve) {
+      delete this.pendingResults[uniqueOutputId];
+      resolve(result);
+    }
+  }
+
+  /**
+   * @param {string} uniqueOutputId
+   * @returns {CommandResult}
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _getSupersededResult(uniqueOutputId) {
+    return { uniqueOutputId, command: null, status: WriteQueue.RESULTS.SUPERSEDED };
+  }
+
+  /**
+   * @param {string} uniqueOutputId Output not in the site, e.g. just removed
+   * @returns {Promise<CommandResult>}
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _getUnknownOutputResult(uniqueOutputId) {
+    const error = `Unknown output ${uniqueOutputId}`;
+    logger.warn(error);
+    return Promise.resolve({
+      uniqueOutputId,
+      command: null,
+      status: WriteQueue.RESULTS.FAILED,
+      error,
+    });
+  }
+
+  /**
+   * Run a flash or an effect from the effect list, then return the light to its previous state
+   * @param {string} uniqueOutputId
+   * @param {{flash?: string, effect?: string}} command
+   * @returns {Promise<CommandResult>} Resolved when the previous state has been restored
+   */
+  _startEffect(uniqueOutputId, command) {
+    const device = this.deviceRegistry.getOutputDevice(uniqueOutputId);
+    if (!device) {
+      return this._getUnknownOutputResult(uniqueOutputId);
+    }
+    const steps = command.flash
+      ? LightEffects.getFlashSteps(command.flash)
+      : LightEffects.getEffectSteps(command.effect, device.dimmable);
+    if (!steps) {
+      const error = `Unknown effect ${command.effect} for ${device.name} (${uniqueOutputId})`;
+      logger.warn(error);
+      return Promise.resolve({
+        uniqueOutputId,
+        command: null,
+        status: WriteQueue.RESULTS.FAILED,
+        error,
+      });
+    }
+    logger.info(
+      `Plejd got ${command.flash ? `${command.flash} flash` : `${command.effect} effect`} command for ${
+        device.name
+      } (${uniqueOutputId})`,
+    );
+
+    // A new effect replacing a running one returns the light to the state before the first one
+    const runningEffect = this.runningEffects[uniqueOutputId];
+    const restore = runningEffect || {
+      restoreState: !!device.state,
+      restoreBrightness: device.dim,
+    };
+    this._cancelEffect(uniqueOutputId);
+    this._clearDeviceTransitionTimer(uniqueOutputId);
+    this.fadeScheduler.cancel(uniqueOutputId, 'Effect started');
+    const result = this._awaitResult(uniqueOutputId);
+
+    const runStep = (index) => {
+      if (index >= steps.length) {
+        delete this.runningEffects[uniqueOutputId];
+        logger.debug(`Effect done for ${device.name}, restoring previous state`);
+        const restoreResult = this._setBrightness(
+          uniqueOutputId,
+          restore.restoreState ? restore.restoreBrightness || undefined : 0,
+          WriteQueue.PRIORITIES.USER,
+          device.name,
+        );
+        this._settleResult(uniqueOutputId, restoreResult);
+        return;
+      }
+      const { brightness, duration } = steps[index];
+      const { TRANSITION } = WriteQueue.PRIORITIES;
+      this._setBrightness(uniqueOutputId, brightness, TRANSITION, device.name);
+      this.runningEffects[uniqueOutputId].timer = setTimeout(() => runStep(index + 1), duration);
+    };
+
+    this.runningEffects[uniqueOutputId] = {
+      timer: null,
+      restoreState: restore.restoreState,
+      restoreBrightness: restore.restoreBrightness,
+    };
+    runStep(0);
+    return result;
+  }
+
+  /** @param {string} uniqueOutputId */
+  _cancelEffect(uniqueOutputId) {
+    const runningEffect = this.runningEffects[uniqueOutputId];
+    if (runningEffect) {
+      clearTimeout(runningEffect.timer);
+      delete this.runningEffects[uniqueOutputId];
+    }
+  }
+
+  /**
+   * Commands sent to a room are applied to its outputs right away,
+   * the mesh will report the actual state of each output shortly after.
+   * @param {string} uniqueOutputId
+   * @param {boolean} state
+   * @param {number} [brightness]
+   */
+  _applyRoomCommand(uniqueOutputId, state, brightness) {
+    if (!this.roomAggregator.getRoom(uniqueOutputId)) {
+      return;
+    }
+
+    const memberBrightness = brightness === undefined || brightness === null
+      ? undefined
+      : Math.min(brightness, MAX_BRIGHTNESS);
+    this.roomAggregator
+      .applyRoomCommand(uniqueOutputId, state, memberBrightness)
+      .forEach(({ uniqueId, ...memberState }) => {
+        this.emit(PlejdDeviceCommunication.EVENTS.stateChanged, uniqueId, memberState);
+      });
+    this._updateRoomState(uniqueOutputId);
+  }
+
+  /** @param {string} uniqueOutputId */
+  _updateRoomOfOutput(uniqueOutputId) {
+    const room = this.roomAggregator.getRoomOfOutput(uniqueOutputId);
+    if (room) {
+      this._updateRoomState(room.uniqueId);
+    }
+  }
+
+  /** @param {string} roomId */
+  _updateRoomState(roomId) {
+    const roomState = this.roomAggregator.updateRoomState(roomId);
+    if (roomState) {
+      this.emit(PlejdDeviceCommunication.EVENTS.stateChanged, roomId, roomState);
+    }
+  }
+
+  /**
+   * @param {string} sceneUniqueId
+   * @returns {Promise<CommandResult>} Resolved when the scene has been triggered in the mesh
+   */
+  triggerScene(sceneUniqueId) {
+    const sceneName = this.deviceRegistry.getSceneName(sceneUniqueId);
+    logger.info(`Plejd got trigger scene command for ${sceneName} (${sceneUniqueId})`);
+    return this._appendCommandToWriteQueue(
+      sceneUniqueId,
+      COMMANDS.TRIGGER_SCENE,
+      null,
+      WriteQueue.PRIORITIES.SCENE,
+    );
+  }
+
+  /**
+   * Our own scene trigger was written. The mesh reports it back, expect one echo of it.
+   * @param {string} sceneUniqueId
+   */
+  _onSceneWritten(sceneUniqueId) {
+    const echoes = this.expectedSceneEchoes[sceneUniqueId] || [];
+    echoes.push(Date.now());
+    this.expectedSceneEchoes[sceneUniqueId] = echoes;
+    this.emit(PlejdDeviceCommunication.EVENTS.sceneTriggered, sceneUniqueId);
+  }
+
+  /**
+   * The mesh reported a scene trigger, either the echo of our own trigger or a trigger from
+   * somewhere else such as a wall switch. Emits sceneTriggered for the latter only.
+   * @param {string} sceneUniqueId
+   */
+  _onSceneReported(sceneUniqueId) {
+    const echoesAfter = Date.now() - SCENE_TRIGGER_ECHO_MS;
+    const echoes = (this.expectedSceneEchoes[sceneUniqueId] || []).filter(
+      (writtenAt) => writtenAt >= echoesAfter,
+    );
+    if (echoes.length) {
+      echoes.shift();
+      this.expectedSceneEchoes[sceneUniqueId] = echoes;
+      logger.verbose(`Ignoring mesh echo of our trigger of scene ${sceneUniqueId}`);
+      return;
+    }
+    delete this.expectedSceneEchoes[sceneUniqueId];
+    this.emit(PlejdDeviceCommunication.EVENTS.sceneTriggered, sceneUniqueId);
   }
 
   _bleCommandReceived(uniqueOutputId, command, data) {
     try {
       if (command === COMMANDS.DIM) {
+        this.fadeScheduler.onStateReported(uniqueOutputId, !!data.state, data.dim);
+        this.stateReconciler.onStateReported(uniqueOutputId, !!data.state, data.dim);
         this.deviceRegistry.setOutputState(uniqueOutputId, data.state, data.dim);
+        this.deviceRegistry.setOutputStateReported(uniqueOutputId);
         this.emit(PlejdDeviceCommunication.EVENTS.stateChanged, uniqueOutputId, {
           state: !!data.state,
           brightness: data.dim,
         });
+        this._updateRoomOfOutput(uniqueOutputId);
       } else if (command === COMMANDS.TURN_ON) {
+        this.stateReconciler.onStateReported(uniqueOutputId, true);
         this.deviceRegistry.setOutputState(uniqueOutputId, true);
+        this.deviceRegistry.setOutputStateReported(uniqueOutputId);
         this.emit(PlejdDeviceCommunication.EVENTS.stateChanged, uniqueOutputId, {
           state: 1,
         });
+        this._updateRoomOfOutput(uniqueOutputId);
       } else if (command === COMMANDS.TURN_OFF) {
+        this.fadeScheduler.onStateReported(uniqueOutputId, false);
+        this.stateReconciler.onStateReported(uniqueOutputId, false);
         this.deviceRegistry.setOutputState(uniqueOutputId, false);
+        this.deviceRegistry.setOutputStateReported(uniqueOutputId);
         this.emit(PlejdDeviceCommunication.EVENTS.stateChanged, uniqueOutputId, {
           state: 0,
         });
+        this._updateRoomOfOutput(uniqueOutputId);
       } else if (command === COMMANDS.TRIGGER_SCENE) {
-        this.emit(PlejdDeviceCommunication.EVENTS.sceneTriggered, data.sceneId);
+        this._onSceneReported(data.sceneId);
       } else if (command === COMMANDS.BUTTON_CLICK) {
-        this.emit(PlejdDeviceCommunication.EVENTS.buttonPressed, data.deviceId, data.deviceInput);
+        if (data.released) {
+          this.buttonEventDecoder.release(data.deviceId, data.deviceInput);
+        } else {
+          this.buttonEventDecoder.press(data.deviceId, data.deviceInput);
+        }
+      } else if (command === COMMANDS.BUTTON_ROTATE) {
+        if (data.delta) {
+          this.emit(
+            PlejdDeviceCommunication.EVENTS.buttonPressed,
+            data.deviceId,
+            data.deviceInput,
+            data.delta > 0 ? BUTTON_EVENTS.ROTATE_RIGHT : BUTTON_EVENTS.ROTATE_LEFT,
+            Math.abs(data.delta),
+          );
+        }
       } else {
         logger.warn(`Unknown ble command ${command}`);
       }
@@ -126,18 +726,121 @@ class PlejdDeviceCommunication extends EventEmitter {
     }
   }
 
+  /**
+   * Emit a decoded button event, followed by turn_on/turn_off for short presses
+   * on inputs configured as direction buttons
+   */
+  _onButtonEvent(deviceId, deviceInput, buttonEvent) {
+    this.emit(PlejdDeviceCommunication.EVENTS.buttonPressed, deviceId, deviceInput, buttonEvent);
+
+    if (buttonEvent !== BUTTON_EVENTS.SHORT_PRESS) {
+      return;
+    }
+    const inputDevice = this.deviceRegistry.getInputDevice(
+      this.deviceRegistry.getUniqueInputId(deviceId, deviceInput),
+    );
+    const semanticEvent = inputDevice && DIRECTION_BUTTON_EVENTS[inputDevice.buttonType];
+    if (semanticEvent) {
+      const { buttonPressed } = PlejdDeviceCommunication.EVENTS;
+      this.emit(buttonPressed, deviceId, deviceInput, semanticEvent);
+    }
+  }
+
+  _createMeshTransport() {
+    const transportName = this.config.transport || 'bluez';
+    const TransportClass = PlejdDeviceCommunication.TRANSPORTS[transportName];
+    if (!TransportClass) {
+      throw new Error(
+        `Unknown mesh transport '${transportName}'. Available transports: ${Object.keys(
+          PlejdDeviceCommunication.TRANSPORTS,
+        ).join(', ')}`,
+      );
+    }
+
+    logger.info(`Using mesh transport '${transportName}'`);
+    return new TransportClass(this.deviceRegistry);
+  }
+
+  /**
+   * Ask the mesh for the current state of all outputs. States are reported back
+   * through lastData like any other change and end up in the registry and in HA.
+   */
+  _requestOutputStates() {
+    const outputDevices = this.deviceRegistry
+      .getAllOutputDevices()
+      .filter((device) => device.typeName !== 'Room');
+
+    logger.info(`Requesting current state for ${outputDevices.length} outputs`);
+    outputDevices.forEach((device) => {
+      this._appendCommandToWriteQueue(
+        device.uniqueId,
+        COMMANDS.READ_STATE,
+        null,
+        WriteQueue.PRIORITIES.BACKGROUND,
+      );
+    });
+  }
+
   _clearDeviceTransitionTimer(uniqueOutputId) {
     if (this.bleOutputTransitionTimers[uniqueOutputId]) {
       clearInterval(this.bleOutputTransitionTimers[uniqueOutputId]);
     }
+    delete this.brightnessMoves[uniqueOutputId];
   }
 
-  _transitionTo(uniqueOutputId, targetBrightness, transition, deviceName) {
+  /**
+   * Easing for a transition, from the command if given, otherwise from configuration or dimCurve
+   * @param {import('./types/DeviceRegistry').OutputDevice} device
+   * @param {string} [easing]
+   */
+  _getTransitionEasing(device, easing) {
+    if (easing) {
+      if (TransitionEasing.isValidEasing(easing)) {
+        return easing;
+      }
+      logger.warn(`Unknown transition easing ${easing} for ${device.name}, using device default`);
+    }
+    return TransitionEasing.getDeviceEasing(
+      device,
+      this.deviceEasings,
+      this.config.transitionEasing,
+    );
+  }
+
+  /**
+   * @returns {Promise<CommandResult>} Resolved when the target brightness has been written
+   */
+  _transitionTo(uniqueOutputId, targetBrightness, transition, deviceName, easingOverride) {
     const device = this.deviceRegistry.getOutputDevice(uniqueOutputId);
     const initialBrightness = device ? device.state && device.dim : null;
     this._clearDeviceTransitionTimer(uniqueOutputId);
+    this._cancelEffect(uniqueOutputId);
+    this.fadeScheduler.cancel(uniqueOutputId, 'New command received');
+    delete this.stepTargets[uniqueOutputId];
+    const result = this._awaitResult(uniqueOutputId);
+
+    const isDimmable = device && device.dimmable;
 
-    const isDimmable = this.deviceRegistry.getOutputDevice(uniqueOutputId).dimmable;
+    if (
+      transition >= this.config.slowFadeThreshold
+      && isDimmable
+      && (targetBrightness || targetBrightness === 0)
+    ) {
+      // Long fades are scheduled by wall clock time instead of stepped in memory,
+      // starting from off if the light is off
+      const fromBrightness = (device.state && device.dim) || 0;
+      if (fromBrightness !== targetBrightness) {
+        const easing = this._getTransitionEasing(device, easingOverride);
+        this.fadeScheduler.start(
+          uniqueOutputId,
+          fromBrightness,
+          targetBrightness,
+          transition,
+          easing,
+        );
+        return result;
+      }
+    }
 
     if (
       transition > 1
@@ -168,6 +871,9 @@ class PlejdDeviceCommunication extends EventEmitter {
         `delta brightness ${deltaBrightness}, steps ${transitionSteps}, interval ${transitionInterval} ms`,
       );
 
+      const transitionEasing = this._getTransitionEasing(device, easingOverride);
+      logger.verbose(`Using ${transitionEasing} easing`);
+
       const dtStart = new Date();
 
       let nSteps = 0;
@@ -180,8 +886,11 @@ class PlejdDeviceCommunication extends EventEmitter {
           tElapsed = transition;
         }
 
-        let newBrightness = Math.round(
-          initialBrightness + (deltaBrightness * tElapsed) / transition,
+        let newBrightness = TransitionEasing.interpolate(
+          transitionEasing,
+          initialBrightness,
+          targetBrightness,
+          tElapsed / transition,
         );
 
         if (tElapsed === transition) {
@@ -193,13 +902,22 @@ class PlejdDeviceCommunication extends EventEmitter {
               tElapsedMs / (nSteps || 1)
             } ms.`,
           );
-          this._setBrightness(uniqueOutputId, newBrightness, true, deviceName);
+          const { USER } = WriteQueue.PRIORITIES;
+          this._settleResult(
+            uniqueOutputId,
+            this._setBrightness(uniqueOutputId, newBrightness, USER, deviceName),
+          );
         } else {
           nSteps++;
           logger.verbose(
             `Queueing dim transition for ${deviceName} (${uniqueOutputId}) to ${newBrightness}. Total queue length ${this.writeQueue.length}`,
           );
-          this._setBrightness(uniqueOutputId, newBrightness, false, deviceName);
+          this._setBrightness(
+            uniqueOutputId,
+            newBrightness,
+            WriteQueue.PRIORITIES.TRANSITION,
+            deviceName,
+          );
         }
       }, transitionInterval);
     } else {
@@ -208,37 +926,133 @@ class PlejdDeviceCommunication extends EventEmitter {
           `Could not transition light change. Either initial value is unknown or change is too small. Requested from ${initialBrightness} to ${targetBrightness}`,
         );
       }
-      this._setBrightness(uniqueOutputId, targetBrightness, true, deviceName);
+      const { USER } = WriteQueue.PRIORITIES;
+      this._settleResult(
+        uniqueOutputId,
+        this._setBrightness(uniqueOutputId, targetBrightness, USER, deviceName),
+      );
     }
+    return result;
   }
 
-  _setBrightness(unqiueOutputId, brightness, shouldRetry, deviceName) {
+  /** @returns {Promise<CommandResult>} */
+  _setBrightness(unqiueOutputId, brightness, priority, deviceName) {
     if (!brightness && brightness !== 0) {
       logger.debug(
         `Queueing turn on ${deviceName} (${unqiueOutputId}). No brightness specified, setting DIM to previous.`,
       );
-      this._appendCommandToWriteQueue(unqiueOutputId, COMMANDS.TURN_ON, null, shouldRetry);
-    } else if (brightness <= 0) {
+      return this._appendCommandToWriteQueue(unqiueOutputId, COMMANDS.TURN_ON, null, priority);
+    }
+    if (brightness <= 0) {
       logger.debug(`Queueing turn off ${unqiueOutputId}`);
-      this._appendCommandToWriteQueue(unqiueOutputId, COMMANDS.TURN_OFF, null, shouldRetry);
-    } else {
-      if (brightness > 255) {
-        // eslint-disable-next-line no-param-reassign
-        brightness = 255;
+      return this._appendCommandToWriteQueue(unqiueOutputId, COMMANDS.TURN_OFF, null, priority);
+    }
+    if (brightness > MAX_BRIGHTNESS) {
+      // eslint-disable-next-line no-param-reassign
+      brightness = MAX_BRIGHTNESS;
+    }
+
+    logger.debug(`Queueing ${unqiueOutputId} set brightness to ${brightness}`);
+    // eslint-disable-next-line no-bitwise
+    return this._appendCommandToWriteQueue(unqiueOutputId, COMMANDS.DIM, brightness, priority);
+  }
+
+  /**
+   * @param {string} uniqueOutputId
+   * @param {string} command
+   * @param {any} data
+   * @param {number} priority One of WriteQueue.PRIORITIES
+   * @returns {Promise<CommandResult>} Resolved when the command is written, superseded,
+   * failed or expired
+   */
+  _appendCommandToWriteQueue(uniqueOutputId, command, data, priority) {
+    return new Promise((resolve) => {
+      const queued = this.writeQueue.enqueue({
+        uniqueOutputId,
+        command,
+        data,
+        priority,
+        onDone: resolve,
+      });
+      if (!queued) {
+        logger.verbose(
+          `Not queueing ${command} for ${uniqueOutputId}, a command is already queued`,
+        );
       }
+    });
+  }
+
+  /**
+   * Let the reconciler track the state written by a command setting the final state of an output.
+   * Transition and effect steps replace the tracked state, since the output is still changing.
+   * @param {import('./WriteQueue').WriteQueueItem} queueItem
+   */
+  _trackDesiredState(queueItem) {
+    const { uniqueOutputId, command } = queueItem;
+    if (
+      this.config.reconcilePolicy === StateReconciler.POLICIES.OFF
+      || ![COMMANDS.DIM, COMMANDS.TURN_ON, COMMANDS.TURN_OFF].includes(command)
+      // Rooms don't report state of their own
+      || this.roomAggregator.getRoom(uniqueOutputId)
+    ) {
+      return;
+    }
 
-      logger.debug(`Queueing ${unqiueOutputId} set brightness to ${brightness}`);
-      // eslint-disable-next-line no-bitwise
-      this._appendCommandToWriteQueue(unqiueOutputId, COMMANDS.DIM, brightness, shouldRetry);
+    if (queueItem.priority === WriteQueue.PRIORITIES.USER) {
+      this.stateReconciler.commandWritten(uniqueOutputId, command, queueItem.data);
+    } else {
+      this.stateReconciler.clear(uniqueOutputId);
     }
   }
 
-  _appendCommandToWriteQueue(uniqueOutputId, command, data, shouldRetry) {
-    this.writeQueue.unshift({
-      uniqueOutputId,
-      command,
-      data,
-      shouldRetry,
+  /**
+   * The mesh did not report the commanded state within the grace period
+   * @param {import('./StateReconciler').DesiredState} desired
+   */
+  _onStateDiverged(desired) {
+    const { uniqueOutputId } = desired;
+    if (
+      this.writeQueue.has(uniqueOutputId)
+      || this.fadeScheduler.isFading(uniqueOutputId)
+      || this.runningEffects[uniqueOutputId]
+      || this.brightnessMoves[uniqueOutputId]
+    ) {
+      // A newer command is on its way
+      this.stateReconciler.clear(uniqueOutputId);
+      return;
+    }
+
+    const device = this.deviceRegistry.getOutputDevice(uniqueOutputId);
+    if (
+      this.config.reconcilePolicy === StateReconciler.POLICIES.REISSUE
+      && desired.attempts <= MAX_REISSUE_ATTEMPTS
+    ) {
+      logger.info(
+        `Reissuing ${desired.command} to ${device.name} (${uniqueOutputId}), attempt ${desired.attempts}`,
+      );
+      this._appendCommandToWriteQueue(
+        uniqueOutputId,
+        desired.command,
+        desired.data,
+        WriteQueue.PRIORITIES.USER,
+      );
+      return;
+    }
+
+    this.stateReconciler.clear(uniqueOutputId);
+    logger.info(`Accepting reported state of ${device.name} (${uniqueOutputId})`);
+    if (!desired.reported) {
+      // Nothing heard from the output since the command, ask for the actual state
+      this._appendCommandToWriteQueue(
+        uniqueOutputId,
+        COMMANDS.READ_STATE,
+        null,
+        WriteQueue.PRIORITIES.BACKGROUND,
+      );
+    }
+    this.emit(PlejdDeviceCommunication.EVENTS.stateChanged, uniqueOutputId, {
+      state: !!device.state,
+      ...(device.dimmable ? { brightness: device.dim } : {}),
     });
   }
 
@@ -249,54 +1063,84 @@ class PlejdDeviceCommunication extends EventEmitter {
     this.writeQueueRef = setTimeout(() => this._runWriteQueue(), this.config.writeQueueWaitTime);
   }
 
+  /** Drop commands that have waited too long, typically while BLE was disconnected */
+  _expireWriteQueue() {
+    const now = Date.now();
+    this.writeQueue
+      .expire(this.config.writeQueueTtl * 1000, this.config.writeQueueExpiryPolicy)
+      .filter((item) => item.command !== COMMANDS.READ_STATE)
+      .forEach((item) => {
+        logger.info(
+          `Write queue: Dropping ${item.command} for ${item.uniqueOutputId}, queued ${Math.round(
+            (now - item.createdAt) / 1000,
+          )} seconds ago`,
+        );
+        const { commandExpired } = PlejdDeviceCommunication.EVENTS;
+        this.emit(commandExpired, item.uniqueOutputId, item.command);
+      });
+  }
+
   async _runWriteQueue() {
     try {
+      this._expireWriteQueue();
       while (this.writeQueue.length > 0) {
         if (!this.bleConnected) {
           logger.warn('BLE not connected, stopping write queue until connection is up again.');
           return;
         }
-        const queueItem = this.writeQueue.pop();
-        const device = this.deviceRegistry.getOutputDevice(queueItem.uniqueOutputId);
-
-        logger.debug(
-          `Write queue: Processing ${device.name} (${queueItem.uniqueOutputId}). Command ${
-            queueItem.command
-          }${queueItem.data ? ` ${queueItem.data}` : ''}. Total queue length: ${
-            this.writeQueue.length
-          }`,
-        );
+        const queueItem = this.writeQueue.dequeue();
+        const isScene = queueItem.command === COMMANDS.TRIGGER_SCENE;
+        const device = isScene
+          ? this.deviceRegistry.getScene(queueItem.uniqueOutputId)
+          : this.deviceRegistry.getOutputDevice(queueItem.uniqueOutputId);
 
-        if (this.writeQueue.some((item) => item.uniqueOutputId === queueItem.uniqueOutputId)) {
-          logger.verbose(
-            `Skipping ${device.name} (${queueItem.uniqueOutputId}) `
-              + `${queueItem.command} due to more recent command in queue.`,
+        if (!device) {
+          // Removed from the site after the command was queued
+          logger.warn(
+            `Write queue: ${queueItem.uniqueOutputId} no longer exists, dropping ${queueItem.command}`,
           );
-          // Skip commands if new ones exist for the same uniqueOutputId
-          // still process all messages in order
+          this.writeQueue.settle(queueItem, WriteQueue.RESULTS.FAILED, 'Device no longer exists');
         } else {
+          logger.debug(
+            `Write queue: Processing ${device.name} (${queueItem.uniqueOutputId}). Command ${
+              queueItem.command
+            }${queueItem.data ? ` ${queueItem.data}` : ''}. Total queue length: ${
+              this.writeQueue.length
+            }`,
+          );
+
           /* eslint-disable no-await-in-loop */
           try {
-            await this.plejdBleHandler.sendCommand(
+            await this.meshTransport.sendCommand(
               queueItem.command,
               device.bleOutputAddress,
               queueItem.data,
             );
+            if (isScene) {
+              this._onSceneWritten(queueItem.uniqueOutputId);
+            } else {
+              this._trackDesiredState(queueItem);
+            }
+            this.writeQueue.settle(queueItem, WriteQueue.RESULTS.WRITTEN);
           } catch (err) {
-            if (queueItem.shouldRetry) {
-              queueItem.retryCount = (queueItem.retryCount || 0) + 1;
+            const maxRetries = this.writeQueue.maxRetries[queueItem.priority] || 0;
+            if (this.writeQueue.retry(queueItem)) {
+              // Processed next, before any other queued command
               logger.debug(`Will retry command, count failed so far ${queueItem.retryCount}`);
-              if (queueItem.retryCount <= MAX_RETRY_COUNT) {
-                this.writeQueue.push(queueItem); // Add back to top of queue to be processed next;
-              } else {
-                logger.error(
-                  `Write queue: Exceeed max retry count (${MAX_RETRY_COUNT}) for ${device.name} (${queueItem.uniqueOutputId}). Command ${queueItem.command} failed.`,
-                );
-                break;
-              }
               if (queueItem.retryCount > 1) {
                 break; // First retry directly, consecutive after writeQueueWaitTime ms
               }
+            } else if (maxRetries && queueItem.retryCount > maxRetries) {
+              logger.error(
+                `Write queue: Exceeed max retry count (${maxRetries}) for ${device.name} (${queueItem.uniqueOutputId}). Command ${queueItem.command} failed.`,
+              );
+              this.writeQueue.settle(queueItem, WriteQueue.RESULTS.FAILED, err.message);
+              break;
+            } else {
+              logger.debug(
+                `Write queue: ${queueItem.command} for ${device.name} (${queueItem.uniqueOutputId}) failed, not retrying. ${err.message}`,
+              );
+              this.writeQueue.settle(queueItem, WriteQueue.RESULTS.FAILED, err.message);
             }
           }
           /* eslint-enable no-await-in-loop */
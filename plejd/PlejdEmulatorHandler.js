@@ -0,0 +1,103 @@
+const { EventEmitter } = require('events');
+
+const Logger = require('./Logger');
+const PlejBLEHandler = require('./PlejdBLEHandler');
+const PlejdMeshEmulator = require('./PlejdMeshEmulator');
+
+const logger = Logger.getLogger('plejd-emulator');
+
+// Interface name BlueZ reports for changed characteristic properties
+const GATT_CHRC_ID = 'org.bluez.GattCharacteristic1';
+
+/**
+ * Mesh transport running the regular BLE handler against PlejdMeshEmulator instead of BlueZ.
+ * Only adapter handling, discovery and connection are replaced. Authentication, ping,
+ * encryption and decoding of mesh notifications run the same code as on real hardware.
+ *
+ * Select with `"transport": "emulator"`. Combine with `preferCachedApiResponse` to run
+ * the addon without any Plejd hardware or cloud access.
+ */
+class PlejdEmulatorHandler extends PlejBLEHandler {
+  /** @type {PlejdMeshEmulator} */
+  emulator = null;
+
+  /**
+   * @param {import('./DeviceRegistry')} deviceRegistry
+   * @param {PlejdMeshEmulator} [emulator] Emulator to connect to. Created from the site if omitted
+   */
+  constructor(deviceRegistry, emulator) {
+    super(deviceRegistry);
+    this.emulator = emulator || null;
+  }
+
+  cleanup() {
+    super.cleanup();
+    if (this.emulator) {
+      this.emulator.removeAllListeners(PlejdMeshEmulator.EVENTS.lastData);
+    }
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  _initBus() {
+    logger.verbose('Using emulated Plejd mesh, no dbus connection needed');
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  _resetBus() {}
+
+  async _getInterface() {
+    if (!this.emulator) {
+      this.emulator = new PlejdMeshEmulator(this.deviceRegistry.getApiSite());
+    }
+    return null;
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  async _powerCycleAdapter() {
+    logger.verbose('Emulated mesh has no adapter to power cycle');
+  }
+
+  async _startGetPlejdDevice() {
+    const { emulator } = this;
+    this._setState(PlejBLEHandler.STATES.CONNECTING, `Connecting to emulated ${emulator.deviceId}`);
+    emulator.connect();
+
+    const lastDataProperties = new EventEmitter();
+    emulator.removeAllListeners(PlejdMeshEmulator.EVENTS.lastData);
+    emulator.on(PlejdMeshEmulator.EVENTS.lastData, (encryptedData) => {
+      lastDataProperties.emit('PropertiesChanged', GATT_CHRC_ID, {
+        Value: { value: encryptedData },
+      });
+    });
+
+    // Same shape as the dbus-next GattCharacteristic1 interfaces used by the BLE handler
+    this.characteristics = {
+      data: {
+        WriteValue: async (value) => emulator.writeData(value),
+      },
+      lastData: {
+        ReadValue: async () => emulator.readLastData(),
+        StartNotify: async () => {},
+      },
+      lastDataProperties,
+      auth: {
+        WriteValue: async (value) => emulator.writeAuth(value),
+        ReadValue: async () => emulator.readAuth(),
+      },
+      ping: {
+        WriteValue: async (value) => emulator.writePing(value),
+        ReadValue: async () => emulator.readPing(),
+      },
+    };
+
+    this.plejdService = { addr: emulator.address };
+    this.connectedDevice = this.deviceRegistry.getPhysicalDevice(emulator.deviceId) || {
+      name: emulator.deviceId,
+    };
+
+    await this._authenticate();
+    this._startCommunication();
+  }
+}
+
+module.exports = PlejdEmulatorHandler;
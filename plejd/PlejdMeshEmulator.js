@@ -0,0 +1,438 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const Logger = require('./Logger');
+const {
+  BLE_CMD_DIM_CHANGE,
+  BLE_CMD_DIM2_CHANGE,
+  BLE_CMD_STATE_CHANGE,
+  BLE_CMD_SCENE_TRIG,
+  BLE_CMD_TIME_UPDATE,
+  BLE_CMD_REMOTE_CLICK,
+  BLE_REMOTE_CLICK_PRESS,
+  BLE_REMOTE_CLICK_RELEASE,
+  BLE_BROADCAST_DEVICE_ID,
+  BLE_REQUEST_NO_RESPONSE,
+  BLE_REQUEST_RESPONSE,
+  BLE_REQUEST_READ_VALUE,
+  createChallengeResponse,
+  encryptDecrypt,
+  reverseBuffer,
+} = require('./PlejdBLEProtocol');
+
+const logger = Logger.getLogger('plejd-emulator');
+
+const DIMMABLE_TRAIT = 11;
+
+/**
+ * Software emulation of the Plejd mesh as seen through the GATT characteristics
+ * of a single connected Plejd device. Speaks the same protocol as the real mesh:
+ * challenge/response authentication, ping and encrypted DATA/LAST_DATA.
+ *
+ * Virtual outputs, rooms and scenes are built from a site (for example the
+ * siteDetails part of /data/cachedApiResponse.json).
+ */
+class PlejdMeshEmulator extends EventEmitter {
+  /** @type {Buffer} */
+  address;
+  /** @private @type {Buffer} */
+  challenge = null;
+  /** Clock offset in seconds, changed when the time is set over BLE */
+  clockOffset = 0;
+  connected = true;
+  /** @type {Buffer} */
+  cryptoKey;
+  /** @type {string} */
+  deviceId;
+  /** @private */
+  lastNotification = Buffer.alloc(0);
+  /** @private */
+  pingValue = 0;
+  responseDelay;
+  authenticated = false;
+
+  // eslint-disable-next-line max-len
+  /** @type {Object.<number, {bleOutputAddress: number, deviceId: string, dimmable: boolean, dim: number, output: number, roomId: string, state: number}>} */
+  outputs = {};
+  /** @type {Object.<number, number[]>} Output BLE addresses by room BLE address */
+  rooms = {};
+  /** @type {Object.<number, {bleOutputAddress: number, state: number, dim: number}[]>} */
+  scenes = {};
+  /** @type {Object.<string, number>} */
+  inputAddresses = {};
+
+  static EVENTS = {
+    packetReceived: 'packetReceived',
+    notificationSent: 'notificationSent',
+    lastData: 'lastData',
+  };
+
+  /**
+   * @param {import('./types/ApiSite').ApiSite} apiSite
+   * @param {{deviceId?: string, responseDelay?: number}} [options]
+   */
+  constructor(apiSite, options = {}) {
+    super();
+
+    this.cryptoKey = Buffer.from(apiSite.plejdMesh.cryptoKey.replace(/-/g, ''), 'hex');
+    this.responseDelay = options.responseDelay === undefined ? 50 : options.responseDelay;
+
+    this._buildMesh(apiSite);
+
+    const outputDevice = apiSite.devices.find((device) => apiSite.outputAddress[device.deviceId]);
+    this.deviceId = options.deviceId || (outputDevice || apiSite.devices[0]).deviceId;
+    this.address = reverseBuffer(Buffer.from(this.deviceId, 'hex'));
+
+    logger.info(
+      `Emulating Plejd mesh with ${Object.keys(this.outputs).length} outputs, connected through ${
+        this.deviceId
+      }`,
+    );
+  }
+
+  /** Simulate the BLE link dropping. All characteristic operations fail until connect() */
+  disconnect() {
+    logger.info('Emulated mesh disconnected');
+    this.connected = false;
+    this.authenticated = false;
+  }
+
+  connect() {
+    logger.info('Emulated mesh connected');
+    this.connected = true;
+  }
+
+  /** @param {number} bleOutputAddress */
+  getOutputState(bleOutputAddress) {
+    return this.outputs[bleOutputAddress];
+  }
+
+  /**
+   * Simulate a change made outside of the addon, such as a physical button or the Plejd app
+   * @param {number} bleOutputAddress
+   * @param {boolean} state
+   * @param {number} [dim] Full 16 bit dim level
+   */
+  setOutputState(bleOutputAddress, state, dim) {
+    this._applyOutputState(bleOutputAddress, state ? 1 : 0, dim);
+  }
+
+  /**
+   * Simulate a button press on an input device (WPH-01, WRT-01)
+   * @param {string} deviceId
+   * @param {number} input
+   */
+  clickButton(deviceId, input) {
+    this._notifyButton(deviceId, input, BLE_REMOTE_CLICK_PRESS);
+  }
+
+  /**
+   * Simulate releasing a button pressed using clickButton
+   * @param {string} deviceId
+   * @param {number} input
+   */
+  releaseButton(deviceId, input) {
+    this._notifyButton(deviceId, input, BLE_REMOTE_CLICK_RELEASE);
+  }
+
+  /**
+   * Simulate turning a rotary input (buttonType RotateMesh)
+   * @param {string} deviceId
+   * @param {number} input
+   * @param {number} steps Steps turned, negative for counter-clockwise
+   */
+  rotateButton(deviceId, input, steps) {
+    // Sent as a signed byte
+    this._notifyButton(deviceId, input, (steps + 256) % 256);
+  }
+
+  _notifyButton(deviceId, input, action) {
+    const bleInputAddress = this.inputAddresses[deviceId];
+    if (bleInputAddress === undefined) {
+      throw new Error(`No input device ${deviceId} in emulated mesh`);
+    }
+    this._notify(
+      this._createNotification(BLE_BROADCAST_DEVICE_ID, BLE_CMD_REMOTE_CLICK, [
+        bleInputAddress,
+        input,
+        action,
+      ]),
+    );
+  }
+
+  /** @param {number[] | Buffer} value */
+  writeAuth(value) {
+    this._assertConnected();
+    const buffer = Buffer.from(value);
+    if (buffer.length === 1 && buffer[0] === 0) {
+      this.authenticated = false;
+      this.challenge = crypto.randomBytes(16);
+      return;
+    }
+
+    if (!this.challenge) {
+      throw new Error('Authentication response written without challenge');
+    }
+
+    const expected = createChallengeResponse(this.cryptoKey, this.challenge);
+    this.authenticated = expected.equals(buffer);
+    this.challenge = null;
+    logger.debug(`Emulated mesh authentication ${this.authenticated ? 'succeeded' : 'failed'}`);
+  }
+
+  readAuth() {
+    this._assertConnected();
+    if (!this.challenge) {
+      throw new Error('No authentication challenge requested');
+    }
+    return this.challenge;
+  }
+
+  /** @param {number[] | Buffer} value */
+  writePing(value) {
+    this._assertConnected();
+    this.pingValue = Buffer.from(value)[0];
+  }
+
+  readPing() {
+    this._assertConnected();
+    // eslint-disable-next-line no-bitwise
+    return Buffer.from([(this.pingValue + 1) & 0xff]);
+  }
+
+  /** @param {number[] | Buffer} value Encrypted payload */
+  writeData(value) {
+    this._assertConnected();
+    if (!this.authenticated) {
+      throw new Error('Not authorized');
+    }
+
+    const decoded = encryptDecrypt(this.cryptoKey, this.address, Buffer.from(value));
+    this.emit(PlejdMeshEmulator.EVENTS.packetReceived, decoded);
+
+    if (decoded.length < 5) {
+      logger.debug(`Emulated mesh ignoring too short packet ${decoded.toString('hex')}`);
+      return;
+    }
+
+    // Let writes resolve before the mesh responds, as over BLE
+    setTimeout(() => this._processPacket(decoded), this.responseDelay);
+  }
+
+  /** Last notification, encrypted */
+  readLastData() {
+    this._assertConnected();
+    return encryptDecrypt(this.cryptoKey, this.address, this.lastNotification);
+  }
+
+  _assertConnected() {
+    if (!this.connected) {
+      throw new Error('Not connected');
+    }
+  }
+
+  /** @param {import('./types/ApiSite').ApiSite} apiSite */
+  _buildMesh(apiSite) {
+    apiSite.devices.forEach((device) => {
+      const outputSettings = apiSite.outputSettings.find(
+        (x) => x.deviceParseId === device.objectId,
+      );
+      const output = outputSettings ? outputSettings.output : 0;
+      const outputAddress = apiSite.outputAddress[device.deviceId];
+
+      if (outputAddress) {
+        const bleOutputAddress = outputAddress[output];
+        this.outputs[bleOutputAddress] = {
+          bleOutputAddress,
+          deviceId: device.deviceId,
+          dimmable: device.traits === DIMMABLE_TRAIT,
+          dim: 0,
+          output,
+          roomId: device.roomId,
+          state: 0,
+        };
+      }
+      // Devices with outputs can have push buttons wired to them as well
+      const hasInputs = apiSite.inputSettings.some((x) => x.deviceId === device.deviceId);
+      if ((!outputAddress || hasInputs) && apiSite.deviceAddress[device.deviceId] !== undefined) {
+        this.inputAddresses[device.deviceId] = apiSite.deviceAddress[device.deviceId];
+      }
+    });
+
+    Object.keys(apiSite.roomAddress || {}).forEach((roomId) => {
+      this.rooms[apiSite.roomAddress[roomId]] = Object.values(this.outputs)
+        .filter((output) => output.roomId === roomId)
+        .map((output) => output.bleOutputAddress);
+    });
+
+    Object.keys(apiSite.sceneIndex || {}).forEach((sceneId) => {
+      this.scenes[apiSite.sceneIndex[sceneId]] = apiSite.sceneSteps
+        .filter((step) => step.sceneId === sceneId)
+        .map((step) => ({
+          bleOutputAddress: (apiSite.outputAddress[step.deviceId] || {})[step.output],
+          state: step.state === 'On' ? 1 : 0,
+          // Scene step values are 8 bit, stretch to full precision
+          dim: step.value * 257,
+        }))
+        .filter((step) => step.bleOutputAddress !== undefined);
+    });
+  }
+
+  /** @param {Buffer} decoded */
+  _processPacket(decoded) {
+    const bleAddress = decoded.readUInt8(0);
+    const request = decoded.readUInt16BE(1);
+    const cmd = decoded.readUInt16BE(3);
+
+    logger.verbose(
+      `Emulated mesh processing packet to ${bleAddress}, request ${request.toString(
+        16,
+      )}, cmd ${cmd.toString(16)}`,
+    );
+
+    if (request === BLE_REQUEST_READ_VALUE) {
+      this._getTargetAddresses(bleAddress).forEach((address) => {
+        this._notifyOutputState(this.outputs[address]);
+      });
+      return;
+    }
+
+    switch (cmd) {
+      case BLE_CMD_STATE_CHANGE:
+        this._getTargetAddresses(bleAddress).forEach((address) => {
+          this._applyOutputState(address, decoded.readUInt8(5));
+        });
+        break;
+      case BLE_CMD_DIM_CHANGE:
+      case BLE_CMD_DIM2_CHANGE:
+        this._getTargetAddresses(bleAddress).forEach((address) => {
+          const dim = decoded.length > 7 ? decoded.readUInt16BE(6) : undefined;
+          this._applyOutputState(address, decoded.readUInt8(5), dim);
+        });
+        break;
+      case BLE_CMD_SCENE_TRIG:
+        this._triggerScene(decoded.readUInt8(5));
+        break;
+      case BLE_CMD_TIME_UPDATE:
+        if (request === BLE_REQUEST_RESPONSE) {
+          this._notify(
+            this._createNotification(bleAddress, BLE_CMD_TIME_UPDATE, (payload) => {
+              payload.writeInt32LE(this._getLocalTimestamp() + this.clockOffset, 5);
+            }),
+          );
+        } else if (decoded.length >= 9) {
+          this.clockOffset = decoded.readInt32LE(5) - this._getLocalTimestamp();
+        }
+        break;
+      default:
+        logger.verbose(`Emulated mesh ignoring unknown command ${cmd.toString(16)}`);
+    }
+  }
+
+  /** Plejd keeps time as a local (not UTC) unix timestamp */
+  // eslint-disable-next-line class-methods-use-this
+  _getLocalTimestamp() {
+    const now = new Date();
+    return Math.trunc(now.getTime() / 1000) - now.getTimezoneOffset() * 60;
+  }
+
+  /** @param {number} bleAddress Output or room address */
+  _getTargetAddresses(bleAddress) {
+    if (this.outputs[bleAddress]) {
+      return [bleAddress];
+    }
+    return this.rooms[bleAddress] || [];
+  }
+
+  /** @param {number} sceneIndex */
+  _triggerScene(sceneIndex) {
+    const steps = this.scenes[sceneIndex];
+    if (!steps) {
+      logger.warn(`Emulated mesh has no scene with index ${sceneIndex}`);
+      return;
+    }
+
+    this._notify(
+      this._createNotification(BLE_BROADCAST_DEVICE_ID, BLE_CMD_SCENE_TRIG, [sceneIndex]),
+    );
+    steps.forEach((step) => this._applyOutputState(step.bleOutputAddress, step.state, step.dim));
+  }
+
+  /**
+   * @param {number} bleOutputAddress
+   * @param {number} state
+   * @param {number} [dim]
+   */
+  _applyOutputState(bleOutputAddress, state, dim) {
+    const output = this.outputs[bleOutputAddress];
+    if (!output) {
+      logger.warn(`Emulated mesh has no output with BLE address ${bleOutputAddress}`);
+      return;
+    }
+
+    output.state = state;
+    if (output.dimmable && dim !== undefined) {
+      output.dim = dim;
+    }
+
+    this._notifyOutputState(output);
+  }
+
+  _notifyOutputState(output) {
+    if (output.dimmable) {
+      this._notify(
+        this._createNotification(
+          output.bleOutputAddress,
+          BLE_CMD_DIM_CHANGE,
+          (payload) => {
+            payload.writeUInt8(output.state, 5);
+            payload.writeUInt16LE(output.dim, 6);
+          },
+          8,
+        ),
+      );
+    } else {
+      this._notify(
+        this._createNotification(output.bleOutputAddress, BLE_CMD_STATE_CHANGE, [output.state]),
+      );
+    }
+  }
+
+  /**
+   * @param {number} bleAddress
+   * @param {number} cmd
+   * @param {number[] | ((payload: Buffer) => void)} data Data bytes or function writing them
+   * @param {number} [length] Total length, required when data is a function
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _createNotification(bleAddress, cmd, data, length = 10) {
+    const isDataArray = Array.isArray(data);
+    const payload = Buffer.alloc(isDataArray ? 5 + data.length : length);
+    payload.writeUInt8(bleAddress, 0);
+    payload.writeUInt16BE(BLE_REQUEST_NO_RESPONSE, 1);
+    payload.writeUInt16BE(cmd, 3);
+    if (isDataArray) {
+      Buffer.from(data).copy(payload, 5);
+    } else {
+      data(payload);
+    }
+    return payload;
+  }
+
+  /** @param {Buffer} decoded */
+  _notify(decoded) {
+    this.lastNotification = decoded;
+    this.emit(PlejdMeshEmulator.EVENTS.notificationSent, decoded);
+
+    if (!this.connected) {
+      return;
+    }
+
+    this.emit(
+      PlejdMeshEmulator.EVENTS.lastData,
+      encryptDecrypt(this.cryptoKey, this.address, decoded),
+    );
+  }
+}
+
+module.exports = PlejdMeshEmulator;
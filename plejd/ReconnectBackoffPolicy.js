@@ -0,0 +1,96 @@
+const Configuration = require('./Configuration');
+
+/**
+ * Decides how long to wait between BLE reconnect attempts and when to escalate
+ * by power cycling the adapter or creating a new dbus system bus.
+ *
+ * Delays grow exponentially from `initialDelay` by `factor` per attempt up to `maxDelay`.
+ * A random jitter of +/- `jitter` (fraction of the delay) is applied to avoid reconnecting
+ * in lockstep with other integrations using the same adapter.
+ */
+class ReconnectBackoffPolicy {
+  /** Delay before the first attempt, ms */
+  initialDelay;
+  /** Max delay between attempts, ms */
+  maxDelay;
+  factor;
+  /** Fraction (0-1) of the delay to randomly add or subtract */
+  jitter;
+  /** Power cycle adapter every n:th attempt. 0 to never power cycle */
+  powerCycleAttempts;
+  /** Create a new dbus system bus every n:th attempt. 0 to never reset the bus */
+  newBusAttempts;
+  /** Time after an expected attempt that the reconnect loop is considered stuck, ms */
+  emergencyTimeout;
+
+  /**
+   * @param {{
+   *  initialDelay: number;
+   *  maxDelay: number;
+   *  factor: number;
+   *  jitter: number;
+   *  powerCycleAttempts: number;
+   *  newBusAttempts: number;
+   *  emergencyTimeout: number;
+   * }} options All times in ms
+   */
+  constructor(options) {
+    this.initialDelay = Math.max(0, options.initialDelay);
+    this.maxDelay = Math.max(this.initialDelay, options.maxDelay);
+    this.factor = Math.max(1, options.factor);
+    this.jitter = Math.min(1, Math.max(0, options.jitter));
+    this.powerCycleAttempts = Math.max(0, Math.floor(options.powerCycleAttempts));
+    this.newBusAttempts = Math.max(0, Math.floor(options.newBusAttempts));
+    this.emergencyTimeout = options.emergencyTimeout;
+  }
+
+  /** Policy from the reconnect* options in config.json, where times are given in seconds */
+  static fromConfiguration() {
+    const config = Configuration.getOptions();
+    return new ReconnectBackoffPolicy({
+      initialDelay: config.reconnectInitialDelay * 1000,
+      maxDelay: config.reconnectMaxDelay * 1000,
+      factor: config.reconnectBackoffFactor,
+      jitter: config.reconnectJitter,
+      powerCycleAttempts: config.reconnectPowerCycleAttempts,
+      newBusAttempts: config.reconnectNewBusAttempts,
+      emergencyTimeout: config.reconnectEmergencyTimeout * 1000,
+    });
+  }
+
+  /**
+   * Time to wait before reconnect attempt number `attempt` (1-based), ms
+   * @param {number} attempt
+   */
+  getDelay(attempt) {
+    const exponential = this.initialDelay * this.factor ** Math.max(0, attempt - 1);
+    const baseDelay = Math.min(this.maxDelay, exponential);
+    const jitterAmount = baseDelay * this.jitter * (Math.random() * 2 - 1);
+    return Math.round(Math.max(0, baseDelay + jitterAmount));
+  }
+
+  /** True if the adapter may ever be power cycled automatically */
+  get powerCycleAllowed() {
+    return this.powerCycleAttempts > 0;
+  }
+
+  /** @param {number} attempt */
+  shouldPowerCycle(attempt) {
+    return this.powerCycleAllowed && attempt % this.powerCycleAttempts === 0;
+  }
+
+  /** @param {number} attempt */
+  shouldResetBus(attempt) {
+    return this.newBusAttempts > 0 && attempt % this.newBusAttempts === 0;
+  }
+
+  /**
+   * Time after which the reconnect loop is restarted if an attempt never completes, ms
+   * @param {number} attemptDelay Delay returned by getDelay for the attempt
+   */
+  getEmergencyTimeout(attemptDelay) {
+    return attemptDelay + this.emergencyTimeout;
+  }
+}
+
+module.exports = ReconnectBackoffPolicy;
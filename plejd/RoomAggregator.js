@@ -0,0 +1,95 @@
+const Logger = require('./Logger');
+
+const logger = Logger.getLogger('room-aggregator');
+
+/**
+ * Keeps the state of Room outputs (added when includeRoomsAsLights is set) in sync with
+ * the outputs in each room. A room is on when any of its outputs is on, and its brightness
+ * is the average brightness of the dimmable outputs that are on.
+ */
+class RoomAggregator {
+  /** @private @type {import('./DeviceRegistry')} */
+  deviceRegistry;
+
+  /** @param {import('./DeviceRegistry')} deviceRegistry */
+  constructor(deviceRegistry) {
+    this.deviceRegistry = deviceRegistry;
+  }
+
+  /**
+   * @param {string} uniqueOutputId
+   * @returns {import('./types/DeviceRegistry').OutputDevice} Room device, or undefined
+   *  if the output is not in a room or rooms are not included
+   */
+  getRoomOfOutput(uniqueOutputId) {
+    const device = this.deviceRegistry.getOutputDevice(uniqueOutputId);
+    if (!device || !device.roomId) {
+      return undefined;
+    }
+    return this.getRoom(device.roomId);
+  }
+
+  /** @param {string} roomId */
+  getRoom(roomId) {
+    const room = this.deviceRegistry.getOutputDevice(roomId);
+    return room && room.typeName === 'Room' ? room : undefined;
+  }
+
+  /**
+   * @param {string} roomId
+   * @returns {import('./types/DeviceRegistry').OutputDevice[]}
+   */
+  getRoomMembers(roomId) {
+    return (this.deviceRegistry.getOutputDeviceIdsByRoomId(roomId) || [])
+      .map((uniqueOutputId) => this.deviceRegistry.getOutputDevice(uniqueOutputId))
+      .filter((device) => device && device.typeName !== 'Room');
+  }
+
+  /**
+   * Derive room state from its members and store it in the registry
+   * @param {string} roomId
+   * @returns {{state: boolean, brightness?: number}} New room state, or null if unchanged
+   */
+  updateRoomState(roomId) {
+    const room = this.getRoom(roomId);
+    if (!room) {
+      return null;
+    }
+
+    const members = this.getRoomMembers(roomId);
+    const state = members.some((member) => !!member.state);
+    const dimmedMembers = members.filter((member) => member.state && member.dimmable && member.dim);
+    const dimSum = dimmedMembers.reduce((sum, member) => sum + member.dim, 0);
+    const brightness = dimmedMembers.length ? Math.round(dimSum / dimmedMembers.length) : undefined;
+
+    const brightnessChanged = state && brightness !== undefined && room.dim !== brightness;
+    if (room.state === state && !brightnessChanged) {
+      return null;
+    }
+
+    this.deviceRegistry.setOutputState(roomId, state, brightness);
+    logger.verbose(`Room ${room.name} is now ${state ? 'on' : 'off'}, brightness ${brightness}`);
+
+    return { state, brightness: state ? brightness : 0 };
+  }
+
+  /**
+   * Optimistically apply a command sent to a room to its members, before the mesh reports back
+   * @param {string} roomId
+   * @param {boolean} state
+   * @param {number} [brightness] Full 16 bit brightness, if set
+   * @returns {{uniqueId: string, state: boolean, brightness?: number}[]} Updated members
+   */
+  applyRoomCommand(roomId, state, brightness) {
+    return this.getRoomMembers(roomId).map((member) => {
+      this.deviceRegistry.setOutputState(member.uniqueId, state, state ? brightness : undefined);
+      return {
+        uniqueId: member.uniqueId,
+        state,
+        brightness: member.dimmable ? (state && member.dim) || 0 : undefined,
+      };
+    });
+  }
+}
+
+module.exports = RoomAggregator;
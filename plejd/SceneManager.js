@@ -30,28 +30,18 @@ class SceneManager {
 
   /**
    * @param {string} sceneUniqueId
+   * @returns {Promise<import('./WriteQueue').CommandResult>} Null if the scene is not found
    */
-  executeScene(sceneUniqueId) {
+  async executeScene(sceneUniqueId) {
     const scene = this.scenes[sceneUniqueId];
     if (!scene) {
       logger.info(`Scene with id ${sceneUniqueId} not found`);
       logger.verbose(`Scenes: ${JSON.stringify(this.scenes, null, 2)}`);
-      return;
+      return null;
     }
 
-    scene.steps.forEach((step) => {
-      const uniqueId = this.deviceRegistry.getUniqueOutputId(step.deviceId, step.output);
-      const device = this.deviceRegistry.getOutputDevice(uniqueId);
-      if (device) {
-        if (device.dimmable && step.state) {
-          this.plejdDeviceCommunication.turnOn(uniqueId, { brightness: step.brightness });
-        } else if (!device.dimmable && step.state) {
-          this.plejdDeviceCommunication.turnOn(uniqueId, {});
-        } else if (!step.state) {
-          this.plejdDeviceCommunication.turnOff(uniqueId, {});
-        }
-      }
-    });
+    // The mesh runs all scene steps itself, resulting state changes are reported back as usual
+    return this.plejdDeviceCommunication.triggerScene(sceneUniqueId);
   }
 }
 
@@ -7,7 +7,8 @@ class SceneStep {
     this.deviceId = step.deviceId;
     this.output = step.output;
     this.state = step.state === 'On' ? 1 : 0;
-    this.brightness = step.value;
+    // Scene step values are 8 bit
+    this.brightness = step.value * 257;
   }
 }
 
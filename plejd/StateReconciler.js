@@ -0,0 +1,128 @@
+const { EventEmitter } = require('events');
+
+const { BRIGHTNESS_TOLERANCE, COMMANDS } = require('./constants');
+const Logger = require('./Logger');
+
+const logger = Logger.getLogger('state-reconciler');
+
+/**
+ * @typedef {{
+ *  uniqueOutputId: string;
+ *  command: string;
+ *  data: any;
+ *  state: boolean;
+ *  brightness?: number;
+ *  attempts: number;
+ *  reported: boolean;
+ *  timer?: NodeJS.Timeout;
+ * }} DesiredState
+ */
+
+/**
+ * Tracks the state each output was last commanded to, and reports outputs where the mesh has not
+ * reported that state within a grace period after the command was written.
+ */
+class StateReconciler extends EventEmitter {
+  /** @private @type {Object.<string, DesiredState>} */
+  desired = {};
+  /** Ms to wait for the mesh to report the commanded state */
+  gracePeriod;
+
+  static EVENTS = {
+    diverged: 'diverged',
+  };
+
+  /** What to do with an output that did not end up in the commanded state */
+  static POLICIES = {
+    /** Do not track commanded state */
+    OFF: 'off',
+    /** Write the command again, accepting the reported state after a few attempts */
+    REISSUE: 'reissue',
+    /** Accept the reported state, e.g. the light was changed from a wall switch meanwhile */
+    ACCEPT: 'accept',
+  };
+
+  /** @param {number} gracePeriod Ms */
+  constructor(gracePeriod) {
+    super();
+    this.gracePeriod = gracePeriod;
+  }
+
+  cleanup() {
+    Object.values(this.desired).forEach((desired) => clearTimeout(desired.timer));
+    this.desired = {};
+  }
+
+  /**
+   * A command setting the final state of an output has been written
+   * @param {string} uniqueOutputId
+   * @param {string} command One of COMMANDS
+   * @param {any} data
+   */
+  commandWritten(uniqueOutputId, command, data) {
+    const previous = this.desired[uniqueOutputId];
+    // Writing the same command again, e.g. when reissued, counts as another attempt
+    const isRepeated = previous && previous.command === command && previous.data === data;
+    this.clear(uniqueOutputId);
+
+    /** @type {DesiredState} */
+    const desired = {
+      uniqueOutputId,
+      command,
+      data,
+      state: command !== COMMANDS.TURN_OFF,
+      brightness: command === COMMANDS.DIM ? data : undefined,
+      attempts: isRepeated ? previous.attempts : 0,
+      reported: false,
+    };
+    desired.timer = setTimeout(() => this._check(desired), this.gracePeriod);
+    this.desired[uniqueOutputId] = desired;
+  }
+
+  /** @param {string} uniqueOutputId */
+  clear(uniqueOutputId) {
+    const desired = this.desired[uniqueOutputId];
+    if (desired) {
+      clearTimeout(desired.timer);
+      delete this.desired[uniqueOutputId];
+    }
+  }
+
+  /**
+   * @param {string} uniqueOutputId
+   * @param {boolean} state
+   * @param {number} [brightness]
+   */
+  onStateReported(uniqueOutputId, state, brightness) {
+    const desired = this.desired[uniqueOutputId];
+    if (!desired) {
+      return;
+    }
+    desired.reported = true;
+
+    // Brightness is only compared when the output is on and both levels are known
+    const isDimmed = state && desired.brightness !== undefined && brightness !== undefined;
+    const brightnessDiff = isDimmed ? Math.abs(desired.brightness - brightness) : 0;
+    const isMatch = desired.state === state && brightnessDiff <= BRIGHTNESS_TOLERANCE;
+    if (isMatch) {
+      logger.verbose(`${uniqueOutputId} reported commanded state`);
+      this.clear(uniqueOutputId);
+    }
+  }
+
+  /** @param {DesiredState} desired */
+  _check(desired) {
+    if (this.desired[desired.uniqueOutputId] !== desired) {
+      return;
+    }
+    desired.attempts += 1;
+    logger.info(
+      `${desired.uniqueOutputId} did not report ${desired.command}${
+        desired.data ? ` ${desired.data}` : ''
+      } within ${this.gracePeriod} ms${desired.reported ? '' : ', no state reported'}`,
+    );
+    this.emit(StateReconciler.EVENTS.diverged, desired);
+  }
+}
+
+module.exports = StateReconciler;
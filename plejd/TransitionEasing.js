@@ -0,0 +1,136 @@
+const { MAX_BRIGHTNESS } = require('./constants');
+const Logger = require('./Logger');
+
+const logger = Logger.getLogger('transition-easing');
+
+/**
+ * Easing curves used when transitioning brightness over time.
+ *
+ * The eye perceives brightness roughly logarithmically, so a linear fade in raw brightness
+ * units looks fast at the bottom and sluggish at the top. The perceptual curves interpolate
+ * in perceived brightness and convert back to raw brightness for each step.
+ */
+const EASINGS = {
+  LINEAR: 'linear',
+  EASE_IN_OUT: 'ease-in-out',
+  PERCEPTUAL: 'perceptual',
+  CIE: 'cie',
+};
+
+// Default easing by outputSettings dimCurve. The sliding proportion curve is linear at low
+// levels, where a linear fade is most visibly too fast. Other curves default to linear
+const DIM_CURVE_EASINGS = {
+  LinearLogarithmicSlidingProportion: EASINGS.PERCEPTUAL,
+};
+
+// Steepness of the logarithmic curve used for the perceptual easing
+const PERCEPTUAL_BASE = 100;
+
+// CIE 1976 lightness (L*, 0-100) from relative luminance (0-1) and back
+const CIE_EPSILON = 216 / 24389;
+const CIE_KAPPA = 24389 / 27;
+const toCieLightness = (luminance) => {
+  if (luminance > CIE_EPSILON) {
+    return 116 * Math.cbrt(luminance) - 16;
+  }
+  return CIE_KAPPA * luminance;
+};
+const fromCieLightness = (lightness) => {
+  if (lightness > 8) {
+    return ((lightness + 16) / 116) ** 3;
+  }
+  return lightness / CIE_KAPPA;
+};
+
+const toPerceptual = (level) => Math.log1p(PERCEPTUAL_BASE * level) / Math.log1p(PERCEPTUAL_BASE);
+const fromPerceptual = (perceived) => ((1 + PERCEPTUAL_BASE) ** perceived - 1) / PERCEPTUAL_BASE;
+
+const easeInOut = (progress) => {
+  if (progress < 0.5) {
+    return 4 * progress ** 3;
+  }
+  return 1 - (-2 * progress + 2) ** 3 / 2;
+};
+
+/**
+ * Functions mapping a level (0-1) to the space the easing interpolates linearly in, and back
+ * @type {Object.<string, {to: (level: number) => number, from: (value: number) => number}>}
+ */
+const EASING_SPACES = {
+  [EASINGS.PERCEPTUAL]: { to: toPerceptual, from: fromPerceptual },
+  [EASINGS.CIE]: {
+    to: (level) => toCieLightness(level) / 100,
+    from: (value) => fromCieLightness(value * 100),
+  },
+};
+
+/** @param {string} easing */
+const isValidEasing = (easing) => Object.values(EASINGS).includes(easing);
+
+/**
+ * Brightness at a point in a transition
+ * @param {string} easing One of EASINGS
+ * @param {number} from Brightness at the start of the transition
+ * @param {number} to Brightness at the end of the transition
+ * @param {number} progress Elapsed part of the transition time, 0-1
+ * @returns {number} Rounded brightness
+ */
+const interpolate = (easing, from, to, progress) => {
+  const t = Math.min(1, Math.max(0, progress));
+  const space = EASING_SPACES[easing];
+  if (space) {
+    const start = space.to(from / MAX_BRIGHTNESS);
+    const end = space.to(to / MAX_BRIGHTNESS);
+    return Math.round(space.from(start + (end - start) * t) * MAX_BRIGHTNESS);
+  }
+
+  const eased = easing === EASINGS.EASE_IN_OUT ? easeInOut(t) : t;
+  return Math.round(from + (to - from) * eased);
+};
+
+/**
+ * Parse per device easings from configuration, given as `<name or id>:<easing>`
+ * @param {string[]} entries
+ * @returns {Object.<string, string>} Easing by lower case device name or id
+ */
+const parseDeviceEasings = (entries) => {
+  const expected = `<device>:<${Object.values(EASINGS).join('|')}>`;
+  return (entries || []).reduce((easings, entry) => {
+    const separatorIndex = entry.lastIndexOf(':');
+    const easing = entry.substring(separatorIndex + 1).trim();
+    if (separatorIndex < 1 || !isValidEasing(easing.toLowerCase())) {
+      logger.warn(`Ignoring transition easing "${entry}", expected ${expected}`);
+      return easings;
+    }
+    const device = entry.substring(0, separatorIndex).trim();
+    return { ...easings, [device.toLowerCase()]: easing.toLowerCase() };
+  }, {});
+};
+
+/**
+ * Easing to use for a device when none is given in the command
+ * @param {import('./types/DeviceRegistry').OutputDevice} device
+ * @param {Object.<string, string>} deviceEasings From parseDeviceEasings
+ * @param {string} defaultEasing One of EASINGS, or 'auto' to choose based on dimCurve
+ */
+const getDeviceEasing = (device, deviceEasings, defaultEasing) => {
+  const configured = [device.uniqueId, device.deviceId, device.name]
+    .filter((key) => key)
+    .map((key) => deviceEasings[key.toLowerCase()])
+    .find((easing) => easing);
+  if (configured) {
+    return configured;
+  }
+  if (isValidEasing(defaultEasing)) {
+    return defaultEasing;
+  }
+  return DIM_CURVE_EASINGS[device.dimCurve] || EASINGS.LINEAR;
+};
+
+module.exports = {
+  EASINGS,
+  getDeviceEasing,
+  interpolate,
+  isValidEasing,
+  parseDeviceEasings,
+};
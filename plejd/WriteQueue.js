@@ -0,0 +1,261 @@
+const { COMMANDS } = require('./constants');
+
+/**
+ * @typedef {{
+ *  uniqueOutputId: string;
+ *  command: string;
+ *  status: string;
+ *  error?: string;
+ * }} CommandResult
+ */
+
+/**
+ * @typedef {{
+ *  uniqueOutputId: string;
+ *  command: string;
+ *  data: any;
+ *  priority: number;
+ *  createdAt?: number;
+ *  retryCount?: number;
+ *  onDone?: (result: CommandResult) => void;
+ * }} WriteQueueItem
+ */
+
+/**
+ * Commands waiting to be written to the mesh, with at most one command per output.
+ *
+ * Each priority class is a Map keyed by output, so a newer command for an output replaces the
+ * queued one in constant time, wherever it was queued. Within a class outputs are processed in
+ * the order they were last updated. Failed commands being retried are processed before anything
+ * else, unless a newer command for the same output has been queued meanwhile.
+ *
+ * Commands older than a TTL can be expired, so that a long reconnect does not replay
+ * commands given long ago.
+ */
+class WriteQueue {
+  /** Lower value is written first */
+  static PRIORITIES = {
+    USER: 0,
+    SCENE: 1,
+    TRANSITION: 2,
+    BACKGROUND: 3,
+  };
+
+  /** What to do with commands older than the TTL */
+  static EXPIRY_POLICIES = {
+    /** Drop all expired commands */
+    DROP: 'drop',
+    /** Write only the most recently queued of all expired commands, drop the others */
+    LATEST: 'latest',
+    /** Never expire commands */
+    KEEP: 'keep',
+  };
+
+  /** How a queued command ended, passed to the onDone callback of the item */
+  static RESULTS = {
+    WRITTEN: 'written',
+    /** Replaced by a newer command for the same output before it was written */
+    SUPERSEDED: 'superseded',
+    FAILED: 'failed',
+    EXPIRED: 'expired',
+  };
+
+  /** @private @type {Map<string, WriteQueueItem>[]} */
+  queues;
+  /** @private @type {Map<string, WriteQueueItem>} */
+  retries = new Map();
+  /** @private @type {Map<string, number>} Priority class each output is queued in */
+  priorityByOutput = new Map();
+  /** @type {Object.<number, number>} Max retries by priority class */
+  maxRetries;
+
+  /** @param {Object.<number, number>} maxRetries Max retries by priority class */
+  constructor(maxRetries) {
+    this.maxRetries = maxRetries;
+    this.queues = Object.values(WriteQueue.PRIORITIES).map(() => new Map());
+  }
+
+  get length() {
+    return this.priorityByOutput.size + this.retries.size;
+  }
+
+  /** @param {string} uniqueOutputId */
+  has(uniqueOutputId) {
+    return this.priorityByOutput.has(uniqueOutputId) || this.retries.has(uniqueOutputId);
+  }
+
+  /**
+   * Remove the command queued for an output, settling it as failed
+   * @param {string} uniqueOutputId
+   * @param {string} error Why the command was removed
+   * @returns {boolean} False if no command was queued
+   */
+  remove(uniqueOutputId, error) {
+    const item = this._getQueuedItem(uniqueOutputId);
+    if (!item) {
+      return false;
+    }
+    const queuedPriority = this.priorityByOutput.get(uniqueOutputId);
+    if (queuedPriority !== undefined) {
+      this.queues[queuedPriority].delete(uniqueOutputId);
+      this.priorityByOutput.delete(uniqueOutputId);
+    }
+    this.retries.delete(uniqueOutputId);
+    this.settle(item, WriteQueue.RESULTS.FAILED, error);
+    return true;
+  }
+
+  clear() {
+    [this.retries, ...this.queues].forEach((map) => {
+      map.forEach((item) => this.settle(item, WriteQueue.RESULTS.FAILED, 'Write queue cleared'));
+      map.clear();
+    });
+    this.priorityByOutput.clear();
+  }
+
+  /**
+   * Report how a command ended to its onDone callback. Only the first call has any effect.
+   * @param {WriteQueueItem} item
+   * @param {string} status One of RESULTS
+   * @param {string} [error]
+   */
+  // eslint-disable-next-line class-methods-use-this
+  settle(item, status, error) {
+    const { onDone } = item;
+    if (!onDone) {
+      return;
+    }
+    item.onDone = null;
+    onDone({
+      uniqueOutputId: item.uniqueOutputId,
+      command: item.command,
+      status,
+      ...(error ? { error } : {}),
+    });
+  }
+
+  /**
+   * Queue a command, replacing any command already queued for the same output.
+   * A state read never replaces a queued command.
+   * The replaced command is settled as superseded.
+   * @param {WriteQueueItem} item
+   * @returns {boolean} False if the item was not queued
+   */
+  enqueue(item) {
+    const { uniqueOutputId } = item;
+    item.createdAt = item.createdAt || Date.now();
+    const queuedPriority = this.priorityByOutput.get(uniqueOutputId);
+    const queuedItem = this._getQueuedItem(uniqueOutputId);
+    const isRead = item.command === COMMANDS.READ_STATE;
+    if (queuedItem && isRead && queuedItem.command !== COMMANDS.READ_STATE) {
+      this.settle(item, WriteQueue.RESULTS.SUPERSEDED);
+      return false;
+    }
+    if (queuedItem) {
+      this.settle(queuedItem, WriteQueue.RESULTS.SUPERSEDED);
+    }
+    if (queuedPriority !== undefined) {
+      this.queues[queuedPriority].delete(uniqueOutputId);
+    }
+    this.retries.delete(uniqueOutputId);
+
+    this.queues[item.priority].set(uniqueOutputId, item);
+    this.priorityByOutput.set(uniqueOutputId, item.priority);
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {string} uniqueOutputId
+   */
+  _getQueuedItem(uniqueOutputId) {
+    const queuedPriority = this.priorityByOutput.get(uniqueOutputId);
+    if (queuedPriority !== undefined) {
+      return this.queues[queuedPriority].get(uniqueOutputId);
+    }
+    return this.retries.get(uniqueOutputId);
+  }
+
+  /**
+   * Queue a failed command to be retried before other commands
+   * @param {WriteQueueItem} item
+   * @returns {boolean} False if max retries is reached or a newer command replaced it
+   */
+  retry(item) {
+    item.retryCount = (item.retryCount || 0) + 1;
+    if (this.priorityByOutput.has(item.uniqueOutputId)) {
+      this.settle(item, WriteQueue.RESULTS.SUPERSEDED);
+      return false;
+    }
+    if (item.retryCount > (this.maxRetries[item.priority] || 0)) {
+      return false;
+    }
+    this.retries.set(item.uniqueOutputId, item);
+    return true;
+  }
+
+  /**
+   * Remove commands queued more than `ttl` ms ago, according to `policy`
+   * @param {number} ttl Ms, 0 to never expire
+   * @param {string} policy One of EXPIRY_POLICIES
+   * @returns {WriteQueueItem[]} Removed commands
+   */
+  expire(ttl, policy) {
+    if (!ttl || policy === WriteQueue.EXPIRY_POLICIES.KEEP) {
+      return [];
+    }
+
+    const expiresBefore = Date.now() - ttl;
+    const isExpired = (item) => item.createdAt < expiresBefore;
+    let expired = [this.retries, ...this.queues]
+      .flatMap((map) => [...map.values()])
+      .filter(isExpired);
+    if (policy === WriteQueue.EXPIRY_POLICIES.LATEST) {
+      // The command last given before the queue stalled is still written
+      const latest = expired.reduce(
+        (newest, item) => (!newest || item.createdAt > newest.createdAt ? item : newest),
+        null,
+      );
+      expired = expired.filter((item) => item !== latest);
+    }
+
+    expired.forEach((item) => {
+      if (this.retries.get(item.uniqueOutputId) === item) {
+        this.retries.delete(item.uniqueOutputId);
+      } else {
+        this.queues[item.priority].delete(item.uniqueOutputId);
+        this.priorityByOutput.delete(item.uniqueOutputId);
+      }
+      this.settle(item, WriteQueue.RESULTS.EXPIRED);
+    });
+    return expired;
+  }
+
+  /** @returns {WriteQueueItem} Next command to write, or undefined if the queue is empty */
+  dequeue() {
+    const retry = this._shift(this.retries);
+    if (retry) {
+      return retry;
+    }
+
+    const queue = this.queues.find((q) => q.size > 0);
+    const item = queue && this._shift(queue);
+    if (item) {
+      this.priorityByOutput.delete(item.uniqueOutputId);
+    }
+    return item;
+  }
+
+  /** @param {Map<string, WriteQueueItem>} map */
+  // eslint-disable-next-line class-methods-use-this
+  _shift(map) {
+    const first = map.entries().next();
+    if (first.done) {
+      return undefined;
+    }
+    map.delete(first.value[0]);
+    return first.value[1];
+  }
+}
+
+module.exports = WriteQueue;
@@ -4,6 +4,41 @@ const COMMANDS = {
   DIM: 'Dim',
   TRIGGER_SCENE: 'Trigger scene',
   BUTTON_CLICK: 'Button click',
+  BUTTON_ROTATE: 'Button rotate',
+  READ_STATE: 'Read state',
 };
 
-module.exports = { COMMANDS };
+// Events decoded from button presses on WPH-01/WRT-01
+const BUTTON_EVENTS = {
+  SHORT_PRESS: 'short_press',
+  DOUBLE_PRESS: 'double_press',
+  LONG_PRESS: 'long_press',
+  LONG_RELEASE: 'long_release',
+  // Semantic events for inputs configured as direction buttons or rotary (see BUTTON_TYPES)
+  TURN_ON: 'turn_on',
+  TURN_OFF: 'turn_off',
+  ROTATE_LEFT: 'rotate_left',
+  ROTATE_RIGHT: 'rotate_right',
+};
+
+// Input buttonType as configured in the Plejd app
+const BUTTON_TYPES = {
+  PUSH_BUTTON: 'PushButton',
+  DIRECTION_UP: 'DirectionUp',
+  DIRECTION_DOWN: 'DirectionDown',
+  ROTATE_MESH: 'RotateMesh',
+  SCENE: 'Scene',
+};
+
+// Brightness is handled with the full 16 bit precision of the Plejd mesh throughout the addon
+const MAX_BRIGHTNESS = 0xffff;
+// Plejd reports brightness with less precision than it is written with
+const BRIGHTNESS_TOLERANCE = 2 * Math.round(MAX_BRIGHTNESS / 255);
+
+module.exports = {
+  BUTTON_EVENTS,
+  BRIGHTNESS_TOLERANCE,
+  BUTTON_TYPES,
+  COMMANDS,
+  MAX_BRIGHTNESS,
+};
@@ -0,0 +1,82 @@
+const assert = require('assert');
+const { afterEach, describe, it } = require('node:test');
+
+const { delay } = require('./helpers');
+const ButtonEventDecoder = require('../ButtonEventDecoder');
+const { BUTTON_EVENTS } = require('../constants');
+
+const DOUBLE_PRESS_TIME_MS = 50;
+const LONG_PRESS_TIME_MS = 100;
+
+describe('ButtonEventDecoder', () => {
+  /** @type {ButtonEventDecoder} */
+  let decoder;
+  let events;
+
+  const createDecoder = (doublePressTime = DOUBLE_PRESS_TIME_MS) => {
+    decoder = new ButtonEventDecoder({ doublePressTime, longPressTime: LONG_PRESS_TIME_MS });
+    events = [];
+    decoder.on(ButtonEventDecoder.EVENTS.buttonEvent, (deviceId, deviceInput, buttonEvent) => {
+      events.push(buttonEvent);
+    });
+  };
+
+  /** Press and release, after which the button is known to report releases */
+  const click = () => {
+    decoder.press('device', 0);
+    decoder.release('device', 0);
+  };
+
+  afterEach(() => decoder.cleanup());
+
+  it('handles presses as clicks until a release has been seen', async () => {
+    createDecoder(0);
+    decoder.press('device', 0);
+    await delay(LONG_PRESS_TIME_MS * 1.5);
+
+    assert.deepStrictEqual(events, [BUTTON_EVENTS.SHORT_PRESS]);
+  });
+
+  it('decodes a short press after the double press time', async () => {
+    createDecoder();
+    click();
+    await delay(DOUBLE_PRESS_TIME_MS * 1.5);
+    events = [];
+    click();
+    assert.deepStrictEqual(events, []);
+    await delay(DOUBLE_PRESS_TIME_MS * 1.5);
+
+    assert.deepStrictEqual(events, [BUTTON_EVENTS.SHORT_PRESS]);
+  });
+
+  it('decodes a double press', async () => {
+    createDecoder();
+    click();
+    await delay(DOUBLE_PRESS_TIME_MS * 1.5);
+    events = [];
+    click();
+    click();
+
+    assert.deepStrictEqual(events, [BUTTON_EVENTS.DOUBLE_PRESS]);
+  });
+
+  it('decodes a long press and its release', async () => {
+    createDecoder();
+    click();
+    await delay(DOUBLE_PRESS_TIME_MS * 1.5);
+    events = [];
+    decoder.press('device', 0);
+    await delay(LONG_PRESS_TIME_MS * 1.5);
+    decoder.release('device', 0);
+    await delay(DOUBLE_PRESS_TIME_MS * 1.5);
+
+    assert.deepStrictEqual(events, [BUTTON_EVENTS.LONG_PRESS, BUTTON_EVENTS.LONG_RELEASE]);
+  });
+
+  it('handles releases as clicks for devices reporting only releases', () => {
+    createDecoder(0);
+    decoder.release('device', 1);
+
+    assert.deepStrictEqual(events, [BUTTON_EVENTS.SHORT_PRESS]);
+  });
+});
@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { afterEach, describe, it } = require('node:test');
+
+const { delay, waitForEvent } = require('./helpers');
+const FadeScheduler = require('../FadeScheduler');
+const { EASINGS } = require('../TransitionEasing');
+
+describe('FadeScheduler', () => {
+  /** @type {FadeScheduler} */
+  let fadeScheduler;
+  let steps;
+
+  // Not saving fades to disk
+  const createScheduler = () => {
+    fadeScheduler = new FadeScheduler(null);
+    steps = [];
+    fadeScheduler.on(FadeScheduler.EVENTS.step, (uniqueOutputId, brightness, isFinal) => {
+      steps.push({ uniqueOutputId, brightness, isFinal });
+    });
+  };
+
+  afterEach(() => fadeScheduler.cleanup());
+
+  it('writes steps until the target brightness is reached', async () => {
+    createScheduler();
+    fadeScheduler.resume();
+    fadeScheduler.start('a', 0, 60000, 1, EASINGS.LINEAR);
+    assert.ok(fadeScheduler.isFading('a'));
+
+    await waitForEvent(fadeScheduler, FadeScheduler.EVENTS.step, (id, b, isFinal) => isFinal);
+    const brightnesses = steps.map((step) => step.brightness);
+    assert.ok(steps.length > 1);
+    assert.deepStrictEqual(
+      brightnesses,
+      [...brightnesses].sort((a, b) => a - b),
+    );
+    assert.strictEqual(brightnesses[brightnesses.length - 1], 60000);
+    assert.strictEqual(fadeScheduler.isFading('a'), false);
+  });
+
+  it('does not write steps while paused', async () => {
+    createScheduler();
+    fadeScheduler.start('a', 0, 60000, 10, EASINGS.LINEAR);
+    await delay(50);
+    assert.deepStrictEqual(steps, []);
+
+    fadeScheduler.resume();
+    assert.strictEqual(steps.length, 1);
+  });
+
+  it('reports progress and clears it when cancelled', () => {
+    createScheduler();
+    const progress = [];
+    fadeScheduler.on(FadeScheduler.EVENTS.progress, (uniqueOutputId, value) => {
+      progress.push(value);
+    });
+    fadeScheduler.start('a', 0, 60000, 100, EASINGS.LINEAR);
+    const { target, endTime } = fadeScheduler.getProgress('a');
+    assert.strictEqual(target, 60000);
+    assert.ok(endTime > Date.now());
+
+    fadeScheduler.cancel('a', 'Test');
+    assert.strictEqual(fadeScheduler.getProgress('a'), null);
+    assert.deepStrictEqual(progress, [null]);
+  });
+
+  it('cancels the fade when the light is changed from somewhere else', () => {
+    createScheduler();
+    fadeScheduler.resume();
+    fadeScheduler.start('a', 10000, 60000, 100, EASINGS.LINEAR);
+
+    fadeScheduler.onStateReported('a', true, 10000 + 100);
+    assert.ok(fadeScheduler.isFading('a'), 'Own write reported back');
+    fadeScheduler.onStateReported('a', true, 40000);
+    assert.strictEqual(fadeScheduler.isFading('a'), false);
+  });
+
+  it('cancels a fade to off when the light is turned off', () => {
+    createScheduler();
+    fadeScheduler.resume();
+    fadeScheduler.start('a', 60000, 0, 100, EASINGS.LINEAR);
+
+    fadeScheduler.onStateReported('a', false);
+    assert.strictEqual(fadeScheduler.isFading('a'), false);
+  });
+});
@@ -0,0 +1,27 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+require('./helpers');
+const { MAX_BRIGHTNESS } = require('../constants');
+const LightEffects = require('../LightEffects');
+
+describe('LightEffects', () => {
+  it('blinks the requested number of times, turning on and off', () => {
+    const steps = LightEffects.getEffectSteps('blink_5', true);
+    assert.strictEqual(steps.length, 10);
+    assert.deepStrictEqual(
+      steps.slice(0, 2).map((step) => step.brightness),
+      [MAX_BRIGHTNESS, 0],
+    );
+  });
+
+  it('limits the number of blinks', () => {
+    const steps = LightEffects.getEffectSteps('blink_1000000000', true);
+    assert.strictEqual(steps.length, LightEffects.MAX_BLINK_COUNT * 2);
+  });
+
+  it('returns null for unknown effects', () => {
+    assert.strictEqual(LightEffects.getEffectSteps('disco', true), null);
+    assert.strictEqual(LightEffects.getEffectSteps(undefined, true), null);
+  });
+});
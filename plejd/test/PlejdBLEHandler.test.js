@@ -0,0 +1,57 @@
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const { describe, it } = require('node:test');
+
+const { createDeviceRegistry } = require('./helpers');
+const PlejdBLEHandler = require('../PlejdBLEHandler');
+
+/**
+ * BLE handler with a fake system bus, so no dbus or BlueZ is needed
+ * @returns {PlejdBLEHandler}
+ */
+const createHandler = () => {
+  const handler = new PlejdBLEHandler(createDeviceRegistry());
+  handler.bus = new EventEmitter();
+  handler._initBus();
+  return handler;
+};
+
+describe('PlejdBLEHandler', () => {
+  describe('state machine', () => {
+    it('ignores an invalid state transition, keeping the current state', () => {
+      const handler = createHandler();
+      const changes = [];
+      handler.on(PlejdBLEHandler.EVENTS.stateChanged, (state) => changes.push(state));
+      const { ADAPTER_LOOKUP, DISCOVERY, CONNECTED } = PlejdBLEHandler.STATES;
+      handler._setState(ADAPTER_LOOKUP, 'Test');
+
+      handler._setState(CONNECTED, 'Test');
+      assert.strictEqual(handler.state, ADAPTER_LOOKUP);
+      assert.strictEqual(handler.stateReason, 'Test');
+
+      handler._setState(DISCOVERY, 'Test');
+      assert.strictEqual(handler.state, DISCOVERY);
+      assert.deepStrictEqual(changes, [ADAPTER_LOOKUP, DISCOVERY]);
+      handler.cleanup();
+    });
+  });
+
+  describe('failover', () => {
+    it('keeps handling bus errors after failing over to the next candidate', async () => {
+      const handler = createHandler();
+      const createCandidate = (path) => ({ path, instance: { Disconnect: async () => {} } });
+      handler.bleDevices = [createCandidate('/dev_1'), createCandidate('/dev_2')];
+      handler.candidateIndex = 0;
+      handler._connectToNextCandidate = async () => {
+        handler.candidateIndex = 1;
+        return handler.bleDevices[1];
+      };
+      handler._startCommunication = () => {};
+
+      await handler._failoverToNextCandidate('Test');
+
+      assert.doesNotThrow(() => handler.bus.emit('error', new Error('Bus error')));
+      handler.cleanup();
+    });
+  });
+});
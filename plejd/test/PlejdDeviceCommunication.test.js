@@ -0,0 +1,185 @@
+const assert = require('assert');
+// eslint-disable-next-line object-curly-newline
+const { after, before, describe, it } = require('node:test');
+
+// eslint-disable-next-line object-curly-newline
+const { createDeviceRegistry, delay, setOptions, waitForEvent } = require('./helpers');
+const { COMMANDS } = require('../constants');
+const {
+  BLE_CMD_DIM_CHANGE,
+  BLE_CMD_DIM2_CHANGE,
+  BLE_CMD_SCENE_TRIG,
+  BLE_CMD_STATE_CHANGE,
+  BLE_REQUEST_READ_VALUE,
+  BLE_SCENE_DEVICE_ID,
+} = require('../PlejdBLEProtocol');
+const PlejdDeviceCommunication = require('../PlejdDeviceCommunication');
+const PlejdEmulatorHandler = require('../PlejdEmulatorHandler');
+const PlejdMeshEmulator = require('../PlejdMeshEmulator');
+const WriteQueue = require('../WriteQueue');
+
+// BLE output addresses of the outputs in fixtures/site.json
+const CEILING_ADDRESS = 11;
+const SPOTS_ADDRESS = 12;
+const RELAY_ADDRESS = 13;
+
+/**
+ * @param {Buffer} packet Decrypted packet written to the mesh
+ * @returns {{address: number, request: number, command: number, payload: Buffer}}
+ */
+const parsePacket = (packet) => ({
+  address: packet.readUInt8(0),
+  request: packet.readUInt16BE(1),
+  command: packet.readUInt16BE(3),
+  payload: packet.subarray(5),
+});
+
+describe('PlejdDeviceCommunication over the emulator transport', () => {
+  /** @type {PlejdDeviceCommunication} */
+  let deviceCommunication;
+  /** @type {PlejdMeshEmulator} */
+  let emulator;
+  /** Packets written to the emulated mesh since the test started */
+  let packets = [];
+
+  const waitForState = (uniqueOutputId, predicate = () => true) => {
+    const { stateChanged } = PlejdDeviceCommunication.EVENTS;
+    const isOutputState = (id, state) => id === uniqueOutputId && predicate(state);
+    return waitForEvent(deviceCommunication, stateChanged, isOutputState);
+  };
+
+  before(async () => {
+    setOptions({ writeQueueWaitTime: 10, reconcilePolicy: 'off', updatePlejdClock: false });
+    const deviceRegistry = createDeviceRegistry();
+    emulator = new PlejdMeshEmulator(deviceRegistry.getApiSite(), { responseDelay: 5 });
+    emulator.on(PlejdMeshEmulator.EVENTS.packetReceived, (packet) => {
+      packets.push(parsePacket(packet));
+    });
+    const transport = new PlejdEmulatorHandler(deviceRegistry, emulator);
+    deviceCommunication = new PlejdDeviceCommunication(deviceRegistry, transport);
+    // Not saving slow fades to disk
+    deviceCommunication.fadeScheduler.persistPath = null;
+
+    // init() removes listeners added to the transport, so wait on the forwarded state
+    const { connectionStateChanged } = PlejdDeviceCommunication.EVENTS;
+    const isConnected = (state) => state === PlejdEmulatorHandler.STATES.CONNECTED;
+    const connected = waitForEvent(deviceCommunication, connectionStateChanged, isConnected);
+    await deviceCommunication.init();
+    await connected;
+  });
+
+  after(() => {
+    deviceCommunication.cleanup();
+  });
+
+  it('reads back the state of all outputs after connecting', async () => {
+    await waitForState('AABBCCDDEE03_0');
+
+    const reads = packets.filter((packet) => packet.request === BLE_REQUEST_READ_VALUE);
+    assert.deepStrictEqual(
+      reads.map((packet) => [packet.address, packet.command]),
+      [
+        [CEILING_ADDRESS, BLE_CMD_DIM2_CHANGE],
+        [SPOTS_ADDRESS, BLE_CMD_DIM2_CHANGE],
+        [RELAY_ADDRESS, BLE_CMD_STATE_CHANGE],
+      ],
+    );
+  });
+
+  it('writes a DIM packet with the full 16 bit brightness', async () => {
+    packets = [];
+    const reported = waitForState('AABBCCDDEE01_0', (state) => state.brightness === 30000);
+    const result = await deviceCommunication.setOutput('AABBCCDDEE01_0', {
+      state: true,
+      brightness: 30000,
+    });
+
+    assert.strictEqual(result.status, WriteQueue.RESULTS.WRITTEN);
+    assert.strictEqual(result.command, COMMANDS.DIM);
+    assert.strictEqual(packets.length, 1);
+    const [packet] = packets;
+    assert.strictEqual(packet.address, CEILING_ADDRESS);
+    assert.strictEqual(packet.command, BLE_CMD_DIM2_CHANGE);
+    assert.strictEqual(packet.payload.readUInt8(0), 1);
+    assert.strictEqual(packet.payload.readUInt16BE(1), 30000);
+
+    await reported;
+    assert.strictEqual(emulator.getOutputState(CEILING_ADDRESS).dim, 30000);
+  });
+
+  it('writes a state packet to turn an output off', async () => {
+    packets = [];
+    const reported = waitForState('AABBCCDDEE01_0', (state) => !state.state);
+    await deviceCommunication.turnOff('AABBCCDDEE01_0', {});
+
+    const [packet] = packets;
+    assert.strictEqual(packet.address, CEILING_ADDRESS);
+    assert.strictEqual(packet.command, BLE_CMD_STATE_CHANGE);
+    assert.strictEqual(packet.payload.readUInt8(0), 0);
+    await reported;
+  });
+
+  it('writes a scene trigger to the scene address', async () => {
+    packets = [];
+    const triggered = waitForEvent(
+      deviceCommunication,
+      PlejdDeviceCommunication.EVENTS.sceneTriggered,
+    );
+    const result = await deviceCommunication.triggerScene('scene1');
+
+    assert.strictEqual(result.status, WriteQueue.RESULTS.WRITTEN);
+    const [packet] = packets;
+    assert.strictEqual(packet.address, BLE_SCENE_DEVICE_ID);
+    assert.strictEqual(packet.command, BLE_CMD_SCENE_TRIG);
+    // Scene index from the site
+    assert.strictEqual(packet.payload.readUInt8(0), 3);
+    assert.deepStrictEqual(await triggered, ['scene1']);
+  });
+
+  it('reports a scene triggered in the mesh right after our own trigger', async () => {
+    const { sceneTriggered } = PlejdDeviceCommunication.EVENTS;
+    const triggers = [];
+    const onTriggered = (sceneId) => triggers.push(sceneId);
+    deviceCommunication.on(sceneTriggered, onTriggered);
+    const { notificationSent } = PlejdMeshEmulator.EVENTS;
+    const isSceneTrigger = (packet) => parsePacket(packet).command === BLE_CMD_SCENE_TRIG;
+    const echoed = waitForEvent(emulator, notificationSent, isSceneTrigger);
+    await deviceCommunication.triggerScene('scene1');
+    await echoed;
+    await delay(20);
+
+    // Same scene triggered again, by a wall switch
+    const reported = waitForEvent(deviceCommunication, sceneTriggered);
+    emulator._triggerScene(3);
+    await reported;
+    deviceCommunication.removeListener(sceneTriggered, onTriggered);
+    assert.deepStrictEqual(triggers, ['scene1', 'scene1']);
+  });
+
+  it('reports changes made in the mesh', async () => {
+    const { notificationSent } = PlejdMeshEmulator.EVENTS;
+    const isFromSpots = (packet) => packet.readUInt8(0) === SPOTS_ADDRESS;
+    const notified = waitForEvent(emulator, notificationSent, isFromSpots);
+    const reported = waitForState('AABBCCDDEE02_0');
+    emulator.setOutputState(SPOTS_ADDRESS, true, 45000);
+
+    const [notification] = await notified;
+    assert.strictEqual(parsePacket(notification).command, BLE_CMD_DIM_CHANGE);
+    const [, state] = await reported;
+    assert.deepStrictEqual(state, { state: true, brightness: 45000 });
+  });
+
+  it('fails commands for outputs not in the site', async () => {
+    const commands = [
+      { state: true, effect: 'blink' },
+      { state: true, flash: 'short' },
+      { state: true, brightness_step: 1000 },
+      { state: true, brightness_move: 1000 },
+      { state: true },
+    ];
+    const results = await Promise.all(
+      commands.map((command) => deviceCommunication.setOutput('AABBCCDDEE99_0', command)),
+    );
+    results.forEach((result) => assert.strictEqual(result.status, WriteQueue.RESULTS.FAILED));
+  });
+});
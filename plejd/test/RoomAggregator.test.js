@@ -0,0 +1,69 @@
+const assert = require('assert');
+const { beforeEach, describe, it } = require('node:test');
+
+const { createDeviceRegistry, setOptions } = require('./helpers');
+const RoomAggregator = require('../RoomAggregator');
+
+describe('RoomAggregator', () => {
+  /** @type {import('../DeviceRegistry')} */
+  let deviceRegistry;
+  /** @type {RoomAggregator} */
+  let roomAggregator;
+
+  beforeEach(() => {
+    setOptions({ includeRoomsAsLights: true });
+    deviceRegistry = createDeviceRegistry();
+    roomAggregator = new RoomAggregator(deviceRegistry);
+  });
+
+  it('finds the room of an output and its members', () => {
+    assert.strictEqual(roomAggregator.getRoomOfOutput('AABBCCDDEE01_0').uniqueId, 'room1');
+    assert.deepStrictEqual(
+      roomAggregator.getRoomMembers('room1').map((member) => member.uniqueId),
+      ['AABBCCDDEE01_0', 'AABBCCDDEE02_0'],
+    );
+  });
+
+  it('turns the room on with the average brightness of dimmed members that are on', () => {
+    deviceRegistry.setOutputState('AABBCCDDEE01_0', true, 20000);
+    deviceRegistry.setOutputState('AABBCCDDEE02_0', true, 40000);
+
+    assert.deepStrictEqual(roomAggregator.updateRoomState('room1'), {
+      state: true,
+      brightness: 30000,
+    });
+    assert.strictEqual(roomAggregator.updateRoomState('room1'), null);
+
+    deviceRegistry.setOutputState('AABBCCDDEE02_0', false);
+    assert.deepStrictEqual(roomAggregator.updateRoomState('room1'), {
+      state: true,
+      brightness: 20000,
+    });
+  });
+
+  it('turns the room off when all members are off', () => {
+    deviceRegistry.setOutputState('AABBCCDDEE01_0', true, 20000);
+    roomAggregator.updateRoomState('room1');
+    deviceRegistry.setOutputState('AABBCCDDEE01_0', false);
+
+    assert.deepStrictEqual(roomAggregator.updateRoomState('room1'), {
+      state: false,
+      brightness: 0,
+    });
+  });
+
+  it('applies room commands to its members', () => {
+    const updated = roomAggregator.applyRoomCommand('room1', true, 50000);
+
+    assert.deepStrictEqual(updated, [
+      { uniqueId: 'AABBCCDDEE01_0', state: true, brightness: 50000 },
+      { uniqueId: 'AABBCCDDEE02_0', state: true, brightness: 50000 },
+    ]);
+    assert.strictEqual(deviceRegistry.getOutputDevice('AABBCCDDEE02_0').dim, 50000);
+  });
+
+  it('ignores outputs that are not rooms', () => {
+    assert.strictEqual(roomAggregator.getRoom('AABBCCDDEE01_0'), undefined);
+    assert.strictEqual(roomAggregator.updateRoomState('AABBCCDDEE01_0'), null);
+  });
+});
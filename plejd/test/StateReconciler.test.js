@@ -0,0 +1,82 @@
+const assert = require('assert');
+const { afterEach, describe, it } = require('node:test');
+
+const { delay } = require('./helpers');
+const { COMMANDS } = require('../constants');
+const StateReconciler = require('../StateReconciler');
+
+const GRACE_PERIOD_MS = 50;
+
+describe('StateReconciler', () => {
+  /** @type {StateReconciler} */
+  let reconciler;
+  let diverged;
+
+  const createReconciler = () => {
+    reconciler = new StateReconciler(GRACE_PERIOD_MS);
+    diverged = [];
+    reconciler.on(StateReconciler.EVENTS.diverged, (desired) => diverged.push(desired));
+  };
+
+  afterEach(() => reconciler.cleanup());
+
+  it('reports an output that does not report the commanded state', async () => {
+    createReconciler();
+    reconciler.commandWritten('a', COMMANDS.TURN_ON, null);
+    reconciler.onStateReported('a', false);
+    await delay(GRACE_PERIOD_MS * 2);
+
+    assert.strictEqual(diverged.length, 1);
+    assert.strictEqual(diverged[0].uniqueOutputId, 'a');
+    assert.strictEqual(diverged[0].attempts, 1);
+    assert.strictEqual(diverged[0].reported, true);
+  });
+
+  it('does not report an output reporting the commanded state', async () => {
+    createReconciler();
+    reconciler.commandWritten('a', COMMANDS.TURN_OFF, null);
+    reconciler.onStateReported('a', false);
+    await delay(GRACE_PERIOD_MS * 2);
+
+    assert.deepStrictEqual(diverged, []);
+  });
+
+  it('accepts brightness reported with less precision than written', async () => {
+    createReconciler();
+    reconciler.commandWritten('a', COMMANDS.DIM, 30000);
+    reconciler.commandWritten('b', COMMANDS.DIM, 30000);
+    reconciler.onStateReported('a', true, 30000 - 257);
+    reconciler.onStateReported('b', true, 20000);
+    await delay(GRACE_PERIOD_MS * 2);
+
+    assert.deepStrictEqual(
+      diverged.map((desired) => desired.uniqueOutputId),
+      ['b'],
+    );
+  });
+
+  it('counts writing the same command again as another attempt', async () => {
+    createReconciler();
+    reconciler.commandWritten('a', COMMANDS.DIM, 30000);
+    await delay(GRACE_PERIOD_MS * 2);
+    reconciler.commandWritten('a', COMMANDS.DIM, 30000);
+    await delay(GRACE_PERIOD_MS * 2);
+    reconciler.commandWritten('a', COMMANDS.DIM, 40000);
+    await delay(GRACE_PERIOD_MS * 2);
+
+    assert.deepStrictEqual(
+      diverged.map((desired) => desired.attempts),
+      [1, 2, 1],
+    );
+    assert.strictEqual(diverged[0].reported, false);
+  });
+
+  it('stops tracking a cleared output', async () => {
+    createReconciler();
+    reconciler.commandWritten('a', COMMANDS.TURN_ON, null);
+    reconciler.clear('a');
+    await delay(GRACE_PERIOD_MS * 2);
+
+    assert.deepStrictEqual(diverged, []);
+  });
+});
@@ -0,0 +1,102 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+require('./helpers');
+const { MAX_BRIGHTNESS } = require('../constants');
+const TransitionEasing = require('../TransitionEasing');
+
+const { EASINGS } = TransitionEasing;
+
+describe('TransitionEasing', () => {
+  describe('interpolate', () => {
+    it('starts and ends at the given brightness for all easings', () => {
+      Object.values(EASINGS).forEach((easing) => {
+        assert.strictEqual(TransitionEasing.interpolate(easing, 1000, 50000, 0), 1000, easing);
+        assert.strictEqual(TransitionEasing.interpolate(easing, 1000, 50000, 1), 50000, easing);
+        assert.strictEqual(TransitionEasing.interpolate(easing, 50000, 0, 1), 0, easing);
+      });
+    });
+
+    it('clamps progress to 0-1', () => {
+      assert.strictEqual(TransitionEasing.interpolate(EASINGS.LINEAR, 0, 100, -1), 0);
+      assert.strictEqual(TransitionEasing.interpolate(EASINGS.LINEAR, 0, 100, 2), 100);
+    });
+
+    it('interpolates linearly in raw brightness', () => {
+      assert.strictEqual(TransitionEasing.interpolate(EASINGS.LINEAR, 0, 1000, 0.25), 250);
+    });
+
+    it('passes the middle of the transition halfway for ease-in-out', () => {
+      const start = TransitionEasing.interpolate(EASINGS.EASE_IN_OUT, 0, 1000, 0.1);
+      assert.ok(start < 100);
+      assert.strictEqual(TransitionEasing.interpolate(EASINGS.EASE_IN_OUT, 0, 1000, 0.5), 500);
+    });
+
+    it('stays lower than linear halfway for the perceptual curves', () => {
+      [EASINGS.PERCEPTUAL, EASINGS.CIE].forEach((easing) => {
+        const halfway = TransitionEasing.interpolate(easing, 0, MAX_BRIGHTNESS, 0.5);
+        assert.ok(halfway > 0 && halfway < MAX_BRIGHTNESS / 2, `${easing}: ${halfway}`);
+      });
+    });
+
+    it('increases monotonically for the perceptual curves', () => {
+      [EASINGS.PERCEPTUAL, EASINGS.CIE].forEach((easing) => {
+        let previous = -1;
+        for (let progress = 0; progress <= 1; progress += 0.05) {
+          const brightness = TransitionEasing.interpolate(easing, 0, MAX_BRIGHTNESS, progress);
+          assert.ok(brightness >= previous, `${easing} at ${progress}`);
+          previous = brightness;
+        }
+      });
+    });
+  });
+
+  describe('parseDeviceEasings', () => {
+    it('parses device easings, ignoring invalid entries', () => {
+      const easings = TransitionEasing.parseDeviceEasings([
+        'Kitchen Ceiling: Perceptual',
+        'AABBCCDDEE01:cie',
+        'no separator',
+        ':linear',
+        'Hall:unknown',
+      ]);
+      assert.deepStrictEqual(easings, {
+        'kitchen ceiling': EASINGS.PERCEPTUAL,
+        aabbccddee01: EASINGS.CIE,
+      });
+    });
+
+    it('handles a missing setting', () => {
+      assert.deepStrictEqual(TransitionEasing.parseDeviceEasings(undefined), {});
+    });
+  });
+
+  describe('getDeviceEasing', () => {
+    const device = {
+      uniqueId: 'AABBCCDDEE01_0',
+      deviceId: 'AABBCCDDEE01',
+      name: 'Kitchen ceiling',
+      dimCurve: 'LinearLogarithmicSlidingProportion',
+    };
+
+    it('prefers the easing configured for the device', () => {
+      const easings = { 'kitchen ceiling': EASINGS.CIE };
+      assert.strictEqual(
+        TransitionEasing.getDeviceEasing(device, easings, EASINGS.LINEAR),
+        EASINGS.CIE,
+      );
+    });
+
+    it('uses the default easing, or the dim curve when set to auto', () => {
+      assert.strictEqual(
+        TransitionEasing.getDeviceEasing(device, {}, EASINGS.EASE_IN_OUT),
+        EASINGS.EASE_IN_OUT,
+      );
+      assert.strictEqual(TransitionEasing.getDeviceEasing(device, {}, 'auto'), EASINGS.PERCEPTUAL);
+      assert.strictEqual(
+        TransitionEasing.getDeviceEasing({ ...device, dimCurve: 'NonDimmable' }, {}, 'auto'),
+        EASINGS.LINEAR,
+      );
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+require('./helpers');
+const { COMMANDS } = require('../constants');
+const WriteQueue = require('../WriteQueue');
+
+const { USER, SCENE } = WriteQueue.PRIORITIES;
+const { TRANSITION, BACKGROUND } = WriteQueue.PRIORITIES;
+const { RESULTS } = WriteQueue;
+
+const createItem = (uniqueOutputId, command, data, priority, onDone) => ({
+  uniqueOutputId,
+  command,
+  data,
+  priority,
+  onDone,
+});
+
+const createQueue = () => {
+  const maxRetries = {
+    [USER]: 2,
+    [SCENE]: 1,
+    [TRANSITION]: 0,
+    [BACKGROUND]: 0,
+  };
+  return new WriteQueue(maxRetries);
+};
+
+describe('WriteQueue', () => {
+  it('keeps only the latest command for each output', () => {
+    const queue = createQueue();
+    const results = [];
+    queue.enqueue(createItem('a', COMMANDS.DIM, 100, TRANSITION, (r) => results.push(r)));
+    queue.enqueue(createItem('a', COMMANDS.TURN_OFF, null, USER));
+
+    assert.strictEqual(queue.length, 1);
+    assert.deepStrictEqual(results, [
+      { uniqueOutputId: 'a', command: COMMANDS.DIM, status: RESULTS.SUPERSEDED },
+    ]);
+    const item = queue.dequeue();
+    assert.strictEqual(item.command, COMMANDS.TURN_OFF);
+    assert.strictEqual(queue.dequeue(), undefined);
+  });
+
+  it('dequeues by priority class, retries first', () => {
+    const queue = createQueue();
+    queue.enqueue(createItem('background', COMMANDS.READ_STATE, null, BACKGROUND));
+    queue.enqueue(createItem('transition', COMMANDS.DIM, 100, TRANSITION));
+    queue.enqueue(createItem('user', COMMANDS.TURN_ON, null, USER));
+    const failed = createItem('scene', COMMANDS.TRIGGER_SCENE, null, SCENE);
+    assert.ok(queue.retry(failed));
+
+    const order = [];
+    while (queue.length) {
+      order.push(queue.dequeue().uniqueOutputId);
+    }
+    assert.deepStrictEqual(order, ['scene', 'user', 'transition', 'background']);
+  });
+
+  it('does not replace a queued command with a state read', () => {
+    const queue = createQueue();
+    const results = [];
+    queue.enqueue(createItem('a', COMMANDS.TURN_ON, null, USER));
+    const queued = queue.enqueue(
+      createItem('a', COMMANDS.READ_STATE, null, BACKGROUND, (r) => results.push(r)),
+    );
+
+    assert.strictEqual(queued, false);
+    assert.strictEqual(results[0].status, RESULTS.SUPERSEDED);
+    assert.strictEqual(queue.dequeue().command, COMMANDS.TURN_ON);
+  });
+
+  it('retries until the max retries of the priority class', () => {
+    const queue = createQueue();
+    const item = createItem('a', COMMANDS.TRIGGER_SCENE, null, SCENE);
+    assert.ok(queue.retry(item));
+    assert.strictEqual(queue.dequeue(), item);
+    assert.strictEqual(queue.retry(item), false);
+    assert.strictEqual(queue.length, 0);
+  });
+
+  it('does not retry a command replaced by a newer one', () => {
+    const queue = createQueue();
+    const results = [];
+    const item = createItem('a', COMMANDS.TURN_ON, null, USER, (r) => results.push(r));
+    queue.enqueue(createItem('a', COMMANDS.TURN_OFF, null, USER));
+
+    assert.strictEqual(queue.retry(item), false);
+    assert.strictEqual(results[0].status, RESULTS.SUPERSEDED);
+    assert.strictEqual(queue.dequeue().command, COMMANDS.TURN_OFF);
+  });
+
+  describe('expire', () => {
+    const enqueueAged = (queue, uniqueOutputId, ageMs, results) => {
+      const item = createItem(uniqueOutputId, COMMANDS.TURN_ON, null, USER, (r) => results.push(r));
+      item.createdAt = Date.now() - ageMs;
+      queue.enqueue(item);
+    };
+
+    it('drops all commands older than the TTL', () => {
+      const queue = createQueue();
+      const results = [];
+      enqueueAged(queue, 'old', 5000, results);
+      enqueueAged(queue, 'older', 10000, results);
+      enqueueAged(queue, 'new', 0, results);
+
+      const expired = queue.expire(2000, WriteQueue.EXPIRY_POLICIES.DROP);
+      assert.deepStrictEqual(expired.map((item) => item.uniqueOutputId).sort(), ['old', 'older']);
+      assert.ok(results.every((result) => result.status === RESULTS.EXPIRED));
+      assert.strictEqual(queue.length, 1);
+      assert.strictEqual(queue.dequeue().uniqueOutputId, 'new');
+    });
+
+    it('keeps only the latest of all expired commands', () => {
+      const queue = createQueue();
+      const results = [];
+      enqueueAged(queue, 'a', 5000, results);
+      enqueueAged(queue, 'b', 10000, results);
+      const retried = createItem('c', COMMANDS.TURN_OFF, null, USER, (r) => results.push(r));
+      retried.createdAt = Date.now() - 8000;
+      queue.retry(retried);
+      enqueueAged(queue, 'new', 0, results);
+
+      const expired = queue.expire(2000, WriteQueue.EXPIRY_POLICIES.LATEST);
+      assert.deepStrictEqual(expired.map((item) => item.uniqueOutputId).sort(), ['b', 'c']);
+      assert.deepStrictEqual(
+        results.map((result) => [result.uniqueOutputId, result.status]).sort(),
+        [
+          ['b', RESULTS.EXPIRED],
+          ['c', RESULTS.EXPIRED],
+        ],
+      );
+      assert.strictEqual(queue.length, 2);
+      assert.strictEqual(queue.has('c'), false);
+      assert.ok(queue.has('a'));
+    });
+
+    it('keeps everything with the keep policy or without TTL', () => {
+      const queue = createQueue();
+      enqueueAged(queue, 'a', 5000, []);
+      assert.deepStrictEqual(queue.expire(2000, WriteQueue.EXPIRY_POLICIES.KEEP), []);
+      assert.deepStrictEqual(queue.expire(0, WriteQueue.EXPIRY_POLICIES.DROP), []);
+      assert.strictEqual(queue.length, 1);
+    });
+  });
+
+  it('removes the command of an output, settling it as failed', () => {
+    const queue = createQueue();
+    const results = [];
+    queue.enqueue(createItem('a', COMMANDS.TURN_ON, null, USER, (r) => results.push(r)));
+    queue.enqueue(createItem('b', COMMANDS.TURN_ON, null, USER));
+
+    assert.ok(queue.remove('a', 'Device removed'));
+    assert.strictEqual(queue.remove('a', 'Device removed'), false);
+    assert.deepStrictEqual(results, [
+      {
+        uniqueOutputId: 'a',
+        command: COMMANDS.TURN_ON,
+        status: RESULTS.FAILED,
+        error: 'Device removed',
+      },
+    ]);
+    assert.strictEqual(queue.has('a'), false);
+    assert.strictEqual(queue.dequeue().uniqueOutputId, 'b');
+  });
+
+  it('settles each command only once', () => {
+    const queue = createQueue();
+    const results = [];
+    const item = createItem('a', COMMANDS.TURN_ON, null, USER, (r) => results.push(r));
+    queue.settle(item, RESULTS.WRITTEN);
+    queue.settle(item, RESULTS.FAILED);
+    assert.deepStrictEqual(
+      results.map((result) => result.status),
+      [RESULTS.WRITTEN],
+    );
+  });
+});
@@ -0,0 +1,65 @@
+const Configuration = require('../Configuration');
+const { options: defaultOptions } = require('../config.json');
+
+// Use the default addon options rather than reading /data/options.json. This must happen before
+// any module creating a logger is required, so test files require this module first.
+Configuration._options = { ...defaultOptions, logLevel: 'error' };
+
+const DeviceRegistry = require('../DeviceRegistry');
+const PlejdApi = require('../PlejdApi');
+const site = require('./fixtures/site.json');
+
+/** @param {Object.<string, any>} options Overrides of the default addon options */
+const setOptions = (options) => {
+  Object.assign(Configuration.getOptions(), options);
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Load the test site into a new device registry, the same way PlejdApi does after fetching it
+ * @returns {DeviceRegistry}
+ */
+const createDeviceRegistry = () => {
+  // Copied since the registry keeps references into the site
+  const siteDetails = JSON.parse(JSON.stringify(site));
+  const deviceRegistry = new DeviceRegistry();
+  const plejdApi = new PlejdApi(deviceRegistry);
+  plejdApi.siteDetails = siteDetails;
+  deviceRegistry.setApiSite(siteDetails);
+  plejdApi.getDevices();
+  return deviceRegistry;
+};
+
+/**
+ * Resolve when `emitter` emits `event` with arguments accepted by `predicate`
+ * @param {import('events').EventEmitter} emitter
+ * @param {string} event
+ * @param {(...args: any[]) => boolean} [predicate]
+ * @param {number} [timeout] Ms before rejecting
+ * @returns {Promise<any[]>} Arguments of the event
+ */
+const waitForEvent = (emitter, event, predicate = () => true, timeout = 2000) => {
+  let timer;
+  return new Promise((resolve, reject) => {
+    const onEvent = (...args) => {
+      if (predicate(...args)) {
+        clearTimeout(timer);
+        emitter.removeListener(event, onEvent);
+        resolve(args);
+      }
+    };
+    timer = setTimeout(() => {
+      emitter.removeListener(event, onEvent);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeout);
+    emitter.on(event, onEvent);
+  });
+};
+
+module.exports = {
+  createDeviceRegistry,
+  delay,
+  setOptions,
+  waitForEvent,
+};
@@ -28,10 +28,39 @@ export interface Options {
   mqttPassword: string;
   includeRoomsAsLights: boolean;
   preferCachedApiResponse: boolean;
+  siteRefreshInterval: number;
+  staleEntityCleanup: string;
   updatePlejdClock: boolean;
   logLevel: string;
+  bluetoothAdapter: string;
+  cleanBluetoothDevices: boolean;
+  preferredDevices: string[];
   connectionTimeout: number;
   writeQueueWaitTime: number;
+  writeRetriesUser: number;
+  writeRetriesScene: number;
+  writeRetriesTransition: number;
+  writeRetriesBackground: number;
+  writeQueueTtl: number;
+  writeQueueExpiryPolicy: string;
+  confirmWrites: boolean;
+  confirmWriteTimeout: number;
+  reconcilePolicy: string;
+  reconcileGracePeriod: number;
+  buttonDoublePressTime: number;
+  buttonLongPressTime: number;
+  transport: string;
+  brightnessScale: number;
+  transitionEasing: string;
+  deviceTransitionEasings: string[];
+  slowFadeThreshold: number;
+  reconnectInitialDelay: number;
+  reconnectMaxDelay: number;
+  reconnectBackoffFactor: number;
+  reconnectJitter: number;
+  reconnectPowerCycleAttempts: number;
+  reconnectNewBusAttempts: number;
+  reconnectEmergencyTimeout: number;
 }
 
 export interface Schema {
@@ -43,8 +72,37 @@ export interface Schema {
   mqttPassword: string;
   includeRoomsAsLights: string;
   preferCachedApiResponse: string;
+  siteRefreshInterval: string;
+  staleEntityCleanup: string;
   updatePlejdClock: string;
   logLevel: string;
+  bluetoothAdapter: string;
+  cleanBluetoothDevices: string;
+  preferredDevices: string[];
   connectionTimeout: string;
   writeQueueWaitTime: string;
+  writeRetriesUser: string;
+  writeRetriesScene: string;
+  writeRetriesTransition: string;
+  writeRetriesBackground: string;
+  writeQueueTtl: string;
+  writeQueueExpiryPolicy: string;
+  confirmWrites: string;
+  confirmWriteTimeout: string;
+  reconcilePolicy: string;
+  reconcileGracePeriod: string;
+  buttonDoublePressTime: string;
+  buttonLongPressTime: string;
+  transport: string;
+  brightnessScale: string;
+  transitionEasing: string;
+  deviceTransitionEasings: string[];
+  slowFadeThreshold: string;
+  reconnectInitialDelay: string;
+  reconnectMaxDelay: string;
+  reconnectBackoffFactor: string;
+  reconnectJitter: string;
+  reconnectPowerCycleAttempts: string;
+  reconnectNewBusAttempts: string;
+  reconnectEmergencyTimeout: string;
 }
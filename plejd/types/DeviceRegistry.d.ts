@@ -5,7 +5,10 @@ export type OutputDevices = { [deviceIdAndOutput: string]: OutputDevice };
 export interface OutputDevice {
   bleOutputAddress: number;
   deviceId: string;
+  /** Full 16 bit dim level, 0 - 65535 */
   dim?: number;
+  /** outputSettings dimCurve, used to choose the default transition easing */
+  dimCurve?: string;
   dimmable: boolean;
   hiddenFromRoomList?: boolean;
   hiddenFromIntegrations?: boolean;
@@ -15,6 +18,8 @@ export interface OutputDevice {
   roomId: string | undefined;
   roomName: string | undefined;
   state: boolean | undefined;
+  /** State restored from disk after a restart, not yet reported by the mesh */
+  stateAssumed?: boolean;
   type: string;
   typeName: string;
   version: string;
@@ -25,7 +30,9 @@ export type InputDevices = { [deviceIdAndOutput: string]: InputDevice };
 
 export interface InputDevice {
   bleInputAddress: number;
+  buttonType: string;
   deviceId: string;
+  doubleSidedDirectionButton: boolean;
   name: string;
   input: number;
   roomId: string;
@@ -34,3 +41,20 @@ export interface InputDevice {
   version: string;
   uniqueId: string;
 }
+
+export type DeviceKind = 'output' | 'input' | 'scene';
+
+export interface DeviceChange {
+  kind: DeviceKind;
+  device: OutputDevice | InputDevice;
+  /** Copy of the device before the change, for changed devices */
+  previous?: OutputDevice | InputDevice;
+  /** Changed properties, for changed devices */
+  fields?: string[];
+}
+
+export interface SiteChanges {
+  added: DeviceChange[];
+  removed: DeviceChange[];
+  changed: DeviceChange[];
+}
@@ -1,9 +1,9 @@
 /* eslint-disable no-use-before-define */
 
-export type TopicType = 'config' | 'state' | 'availability' | 'set';
+export type TopicType = 'config' | 'state' | 'availability' | 'set' | 'attributes';
 export type TOPIC_TYPES = { [key: string]: TopicType };
 
-export type MqttType = 'light' | 'scene' | 'switch' | 'device_automation';
+export type MqttType = 'light' | 'scene' | 'switch' | 'device_automation' | 'sensor';
 export type MQTT_TYPES = { [key: string]: MqttType };
 
 export interface OutputDevice {